@@ -3,6 +3,26 @@
  * AT commands with timeouts, and also to listen for their responses. It 
  * greatly simplifies the task of writing drivers for ESP8266 or GSM */
 
+/* Lines that end a command with an error, for cmdAsync */
+var ERRORS = ["ERROR", "+CME ERROR", "+CMS ERROR", "FAIL", "NO CARRIER", "BUSY", "NO ANSWER"];
+
+/* Does the line start with any of the prefixes? */
+function startsWithAny(l, prefixes) {
+  for (var i=0;i<prefixes.length;i++)
+    if (l.substr(0,prefixes[i].length)==prefixes[i]) return true;
+  return false;
+}
+
+/* Default length parser for onBinary - the length is the last number before
+ * ':', eg "+IPD,5:" or "+IPD,0,5:" */
+function binaryLength(line) {
+  var i = line.indexOf(":");
+  if (i<0) return line.indexOf("\r")<0 ? undefined : false;
+  var n = line.substr(0,i).split(",");
+  n = parseInt(n[n.length-1]);
+  return isNaN(n) ? false : { start : i+1, length : n };
+}
+
 /* TODO: something odd about Espruino on linux seems to mean that
  * extra '\n' get inserted */
 exports.connect = function (ser) {
@@ -12,11 +32,66 @@ exports.connect = function (ser) {
   var delim = "\r";
   var handlers = {};
   var lineHandlers = {};
+  var binHandlers = {};
+  var bytes; // counted-byte read in progress, see readBytes
   var waiting = [];  
+  var active; // the command we're waiting on a response for
+  var cancelling = false;
+  var rec; // transcript being recorded, see startRecording
+  var recStart;
+
+  // add to the transcript, with the time in ms since recording started
+  function record(entry) {
+    entry.t = Math.round((getTime()-recStart)*1000);
+    rec.push(entry);
+  }
+
+  // write to the device
+  function send(d) {
+    if (dbg) console.log("["+JSON.stringify(d));
+    if (rec) record({tx:d});
+    ser.write(d);
+  }
+
+  /* Handle binary data at the start of line - either bytes for readBytes, or
+   * a block registered with onBinary. Returns true if we're waiting for more */
+  function readBinary() {
+    while (true) {
+      if (bytes) {
+        if (bytes.lf) {
+          // '\n' after the line that asked for the data isn't part of it
+          if (!line.length) return true;
+          if (line[0]=="\n") line=line.substr(1);
+          bytes.lf = false;
+        }
+      } else {
+        if (line[0]=="\n") line=line.substr(1);
+        for (var p in binHandlers) {
+          if (line.substr(0,p.length)!=p) continue;
+          var b = binHandlers[p];
+          var r = b.parse(line);
+          if (r===undefined) return true; // header not all here yet
+          if (!r) continue;
+          bytes = { n : r.length, callback : b.callback, header : line.substr(0,r.start) };
+          line = line.substr(r.start);
+          break;
+        }
+        if (!bytes) return false;
+      }
+      if (line.length<bytes.n) return true;
+      var got = bytes;
+      bytes = undefined;
+      var data = line.substr(0,got.n);
+      line = line.substr(got.n);
+      got.callback(data, got.header);
+    }
+  }
 
   ser.on("data", function(d) {    
     line += d;
     if (dbg) console.log("] "+JSON.stringify(line)+" <--- "+JSON.stringify(d));
+    if (rec) record({rx:d});
+    if (readBinary()) return;
     if (line[0]=="\n") line=line.substr(1);
     if (handlers) {
       // hack - when bug #540 gets fixed we won't need this:
@@ -47,6 +122,7 @@ exports.connect = function (ser) {
         }
       }
       line = line.substr(i+delim.length);
+      if (readBinary()) return;
       if (line[0]=="\n") line=line.substr(1);
       if (line.length && handlers) {
         // hack - when bug #540 gets fixed we won't need this:
@@ -62,6 +138,14 @@ exports.connect = function (ser) {
     }
   });
   
+  // send the next queued command, if we're not waiting for a response
+  function nextCmd() {
+    if (lineCallback===undefined && waiting.length>0) {
+      var w = waiting.shift();
+      at.cmd(w[0], w[1], w[2], w[3]);
+    }
+  }
+
   var at = {
     "debug" : function() {
       dbg = true;
@@ -70,23 +154,30 @@ exports.connect = function (ser) {
         lineCallback:lineCallback,
         handlers:handlers,
         lineHandlers:lineHandlers,
+        binHandlers:binHandlers,
         waiting:waiting
       };
     },
     /* send command - if timeout is set, we wait for a response. The callback may return 
-     * a function if it wants more data. Eg 'return function(d) {};' */
-    "cmd" : function(command, timeout, callback) {
+     * a function if it wants more data. Eg 'return function(d) {};'
+     * Commands sent while waiting are queued, with higher priority ones first */
+    "cmd" : function(command, timeout, callback, priority) {
       if (lineCallback) {
-        waiting.push([command, timeout, callback])
+        priority = priority||0;
+        var i = 0;
+        while (i<waiting.length && waiting[i][3]>=priority) i++;
+        waiting.splice(i, 0, [command, timeout, callback, priority]);
         return;
       }
-      if (dbg) console.log("["+JSON.stringify(command));
-      ser.write(command);
+      send(command);
       if (timeout) {
-        var tmr = setTimeout(function() {
+        var onTimeout = function() {
           lineCallback = undefined;
+          active = undefined;
           if (callback) callback();
-        }, timeout);
+          nextCmd();
+        };
+        var tmr = setTimeout(onTimeout, timeout);
         var cb = function(d) {          
           lineCallback = undefined;     
           var n;
@@ -95,18 +186,83 @@ exports.connect = function (ser) {
             // and call it from lineCallback
             lineCallback = cb;
             callback = n;
-          } else clearTimeout(tmr);
-          if (lineCallback===undefined && waiting.length>0) {
-            var w = waiting.shift();
-            at.cmd(w[0], w[1], w[2]);
+          } else {
+            clearTimeout(tmr);
+            active = undefined;
           }
+          nextCmd();
         };
         lineCallback = cb;
+        active = { command : command, stop : function() {
+          clearTimeout(tmr);
+          onTimeout();
+        }};
+      }
+    },
+    /* send command, returning a Promise. This resolves with {result, lines} when
+     * a line starting with one of options.expect (default "OK") arrives, where lines
+     * are the lines before it. It rejects on a line starting with one of options.error
+     * (default ERROR, +CME ERROR, etc), on options.timeout (default 1000ms) or if
+     * cancelled. options.priority > 0 puts it ahead of other queued commands */
+    "cmdAsync" : function(command, options) {
+      options = options||{};
+      var expect = [].concat(options.expect||"OK");
+      var error = [].concat(options.error||ERRORS);
+      var lines = [];
+      return new Promise(function(resolve, reject) {
+        var cb = function(d) {
+          if (d===undefined)
+            return reject(new Error(cancelling ? "Cancelled" : "Timeout"));
+          if (startsWithAny(d, error)) {
+            var e = new Error(d);
+            e.lines = lines;
+            return reject(e);
+          }
+          if (startsWithAny(d, expect))
+            return resolve({result:d, lines:lines});
+          lines.push(d);
+          return cb;
+        };
+        at.cmd(command, options.timeout||1000, cb, options.priority);
+      });
+    },
+    /* cancel queued commands that match command (or all if it is undefined), and
+     * stop waiting for a response to the current one. Callbacks are called as if
+     * the command timed out. Returns the number of commands cancelled */
+    "cancel" : function(command) {
+      var cancelled = waiting.filter(function(w) {
+        return command===undefined || w[0]==command;
+      });
+      waiting = waiting.filter(function(w) {
+        return cancelled.indexOf(w)<0;
+      });
+      cancelling = true;
+      cancelled.forEach(function(w) {
+        if (w[2]) w[2]();
+      });
+      if (active && (command===undefined || active.command==command)) {
+        cancelled.push(active);
+        active.stop();
       }
+      cancelling = false;
+      return cancelled.length;
     },
     // Just write to the device - nothing else
     "write" : function(command) {
-      ser.write(command);
+      send(command);
+    },
+    /* Start recording everything written ({t, tx}) and received ({t, rx}),
+     * where t is milliseconds since recording started */
+    "startRecording" : function() {
+      rec = [];
+      recStart = getTime();
+    },
+    /* Stop recording - returns the transcript, which can be replayed with
+     * require("AT").simulate(transcript) */
+    "stopRecording" : function() {
+      var r = rec;
+      rec = undefined;
+      return r;
     },
     // send a command, but also register for a certain type of response lines (key)
     "cmdReg" : function(command, timeout, key, keyCallback, finalCallback) {
@@ -134,7 +290,114 @@ exports.connect = function (ser) {
     "unregister" : function(key) {
       delete handlers[key];
     },    
+    /* Read the next n bytes as-is, without splitting them into lines, and call
+     * callback(data). Call it from a line callback when that line says data follows,
+     * eg. "+CIPRECVDATA:5" - a '\n' straight after the line is skipped */
+    "readBytes" : function(n, callback) {
+      bytes = { n : n, callback : callback, lf : true };
+      if (line.indexOf(delim)<0) readBinary();
+    },
+    /* Handle blocks of binary data that start with prefix, eg. "+IPD,5:hello".
+     * lengthParser(line) returns {start, length} (the index the data starts at and
+     * the number of bytes), undefined if the header isn't all here yet, or false if
+     * it's not a binary block after all. If not given, the length is the last number
+     * before ':'. callback(data, header) is called with the data and everything
+     * before it. Call onBinary(prefix) to remove it */
+    "onBinary" : function(prefix, lengthParser, callback) {
+      if (!callback) {
+        delete binHandlers[prefix];
+        return;
+      }
+      if (binHandlers[prefix]) throw new Error(prefix+" already registered");
+      binHandlers[prefix] = { parse : lengthParser||binaryLength, callback : callback };
+    },
     "isBusy" : function() { return lineCallback!==undefined; }
   };
   return at;
 }
+
+/* Create a simulated serial port to test drivers without hardware. It replays
+ * a transcript from at.stopRecording(), or a scripted dialogue like:
+ *
+ *   [ {rx:"ready\r\n"}, {tx:"AT\r\n"}, {rx:"OK\r\n", delay:10},
+ *     {tx:/AT\+CWJAP=.*\r\n/}, {rx:"WIFI CONNECTED\r\n"}, {rx:"OK\r\n"} ]
+ *
+ * Each 'tx' (a String or RegExp) must match what the driver writes, and then
+ * the 'rx' entries after it are sent back - 'delay' ms after the previous entry,
+ * or at the recorded time 't'. options.speed scales the delays (default 1).
+ * Emits 'mismatch' (expected, written) if the driver writes something else,
+ * and 'end' once the whole transcript has been played.
+ *
+ *   var sim = require("AT").simulate(transcript);
+ *   var wifi = require("ESP8266WiFi_0v25").connect(sim, callback); */
+exports.simulate = function(transcript, options) {
+  options = options||{};
+  var speed = options.speed===undefined ? 1 : options.speed;
+  var pos = 0; // next transcript entry
+  var written = ""; // written, but not matched yet
+  var lastT = 0; // recorded time of the last entry
+  var delay = 0; // ms from now that the last scheduled 'rx' is sent
+
+  // schedule the 'rx' entries at pos
+  function play() {
+    while (pos<transcript.length && transcript[pos].tx===undefined) {
+      var e = transcript[pos++];
+      if (e.delay!==undefined) delay += e.delay*speed;
+      else if (e.t!==undefined) delay += Math.max(e.t-lastT, 0)*speed;
+      if (e.t!==undefined) lastT = e.t;
+      setTimeout(function(d) {
+        sim.emit("data", d);
+      }, delay, e.rx);
+    }
+    if (pos>=transcript.length)
+      setTimeout(function() { sim.emit("end"); }, delay);
+    // delays for later entries count from when they're triggered
+    delay = 0;
+  }
+
+  var sim = {
+    write : function(d) {
+      written += d;
+      while (written.length) {
+        var e = transcript[pos], l;
+        if (!e) {
+          sim.emit("mismatch", undefined, written);
+          written = "";
+          return;
+        }
+        if (e.tx===undefined) {
+          // written before the 'rx' entries that come first were sent
+          play();
+          continue;
+        }
+        if (e.tx instanceof RegExp) {
+          var m = written.match(e.tx);
+          if (!m) return; // wait for more
+          l = m.index + m[0].length;
+        } else {
+          if (written.length<e.tx.length && e.tx.substr(0,written.length)==written)
+            return; // wait for the rest
+          if (written.substr(0,e.tx.length)!=e.tx) {
+            sim.emit("mismatch", e.tx, written);
+            written = "";
+            return;
+          }
+          l = e.tx.length;
+        }
+        written = written.substr(l);
+        if (e.t!==undefined) lastT = e.t;
+        pos++;
+        play();
+      }
+    },
+    // has the whole transcript been played?
+    isDone : function() {
+      return pos>=transcript.length;
+    }
+  };
+  // send anything that comes before the first write, once the driver is listening
+  setTimeout(function() {
+    if (!pos) play();
+  }, 0);
+  return sim;
+};
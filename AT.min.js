@@ -1,3 +1,9 @@
-exports.connect=function(l){var m=!1,a="",d,b={},e={},g=[];l.on("data",function(f){a+=f;m&&console.log("] "+JSON.stringify(a)+" <--- "+JSON.stringify(f));"\n"==a[0]&&(a=a.substr(1));if(b){b[">"]&&">"==a[0]&&(a=b[">"](a));for(var c in b)a.substr(0,c.length)==c&&(a=b[c](a))}for(f=a.indexOf("\r");0<=f;){var k=a.substr(0,f);if(0<k.length){var n=!1;for(c in e)k.substr(0,c.length)==c&&(e[c](k),n=!0);n||d&&d(k)}a=a.substr(f+1);"\n"==a[0]&&(a=a.substr(1));if(a.length&&b)for(c in b[">"]&&">"==
-a[0]&&(a=b[">"](a)),b)a.substr(0,c.length)==c&&(a=b[c](a));f=a.indexOf("\r")}});var h={debug:function(){m=!0;return{line:a,lineCallback:d,handlers:b,lineHandlers:e,waiting:g}},cmd:function(a,c,b){if(d)g.push([a,c,b]);else if(m&&console.log("["+JSON.stringify(a)),l.write(a),c){var e=setTimeout(function(){d=void 0;b&&b()},c),p=function(a){d=void 0;var f;b&&(f=b(a))?(d=p,b=f):clearTimeout(e);void 0===d&&0<g.length&&(a=g.shift(),h.cmd(a[0],a[1],a[2]))};d=p}},write:function(a){l.write(a)},cmdReg:function(a,
-b,d,e,g){h.registerLine(d,e);h.cmd(a,b,function(a){h.unregisterLine(d);g(a)})},registerLine:function(a,b){if(e[a])throw Error(a+" already registered");e[a]=b},unregisterLine:function(a){delete e[a]},register:function(a,c){if(b[a])throw Error(a+" already registered");b[a]=c},unregister:function(a){delete b[a]},isBusy:function(){return void 0!==d}};return h}
\ No newline at end of file
+function E(f,l){for(var r=0;r<l.length;r++)if(f.substr(0,l[r].length)==l[r])return!0;return!1}function H(f){var l=f.indexOf(":");if(l<0)return f.indexOf("\r")<0?void 0:!1;f=f.substr(0,l).split(",");f=parseInt(f[f.length-1]);return isNaN(f)?!1:{start:l+1,length:f}}var I="ERROR;+CME ERROR;+CMS ERROR;FAIL;NO CARRIER;BUSY;NO ANSWER".split(";");exports.connect=function(f){function l(a){a.t=Math.round((getTime()-F)*1E3);x.push(a)}function r(a){h&&console.log("["+JSON.stringify(a));x&&l({tx:a});
+f.write(a)}function y(){for(;;){if(u){if(u.lf){if(!b.length)return!0;b[0]=="\n"&&(b=b.substr(1));u.lf=!1}}else{b[0]=="\n"&&(b=b.substr(1));for(var a in m)if(b.substr(0,a.length)==a){var c=m[a],d=c.parse(b);if(d===void 0)return!0;if(d){u={n:d.length,callback:c.callback,header:b.substr(0,d.start)};b=b.substr(d.start);break}}if(!u)return!1}if(b.length<u.n)return!0;c=u;u=void 0;d=b.substr(0,c.n);b=b.substr(c.n);c.callback(d,c.header)}}function n(){if(k===void 0&&v.length>0){var a=v.shift();z.cmd(a[0],
+a[1],a[2],a[3])}}var h=!1,b="",k,g={},e={},m={},u,v=[],w,D=!1,x,F;f.on("data",function(a){b+=a;h&&console.log("] "+JSON.stringify(b)+" <--- "+JSON.stringify(a));x&&l({rx:a});if(!y()){b[0]=="\n"&&(b=b.substr(1));if(g){g[">"]&&b[0]==">"&&(b=g[">"](b));for(var c in g)b.substr(0,c.length)==c&&(b=g[c](b))}for(a=b.indexOf("\r");a>=0;){var d=b.substr(0,a);if(d.length>0){var p=!1;for(c in e)d.substr(0,c.length)==c&&(e[c](d),p=!0);p||k&&k(d)}b=b.substr(a+1);if(y())break;b[0]=="\n"&&(b=b.substr(1));if(b.length&&
+g)for(c in g[">"]&&b[0]==">"&&(b=g[">"](b)),g)b.substr(0,c.length)==c&&(b=g[c](b));a=b.indexOf("\r")}}});var z={debug:function(){h=!0;return{line:b,lineCallback:k,handlers:g,lineHandlers:e,binHandlers:m,waiting:v}},cmd:function(a,c,d,p){if(k){p=p||0;for(var t=0;t<v.length&&v[t][3]>=p;)t++;v.splice(t,0,[a,c,d,p])}else if(r(a),c){var A=function(){w=k=void 0;d&&d();n()},B=setTimeout(A,c),C=function(q){k=void 0;var G;d&&(G=d(q))?(k=C,d=G):(clearTimeout(B),w=void 0);n()};k=C;w={command:a,stop:function(){clearTimeout(B);
+A()}}}},cmdAsync:function(a,c){c=c||{};var d=[].concat(c.expect||"OK"),p=[].concat(c.error||I),t=[];return new Promise(function(A,B){var C=function(q){if(q===void 0)return B(Error(D?"Cancelled":"Timeout"));if(E(q,p))return q=Error(q),q.lines=t,B(q);if(E(q,d))return A({result:q,lines:t});t.push(q);return C};z.cmd(a,c.timeout||1E3,C,c.priority)})},cancel:function(a){var c=v.filter(function(d){return a===void 0||d[0]==a});v=v.filter(function(d){return c.indexOf(d)<0});D=!0;c.forEach(function(d){if(d[2])d[2]()});
+!w||a!==void 0&&w.command!=a||(c.push(w),w.stop());D=!1;return c.length},write:function(a){r(a)},startRecording:function(){x=[];F=getTime()},stopRecording:function(){var a=x;x=void 0;return a},cmdReg:function(a,c,d,p,t){z.registerLine(d,p);z.cmd(a,c,function(A){z.unregisterLine(d);t(A)})},registerLine:function(a,c){if(e[a])throw Error(a+" already registered");e[a]=c},unregisterLine:function(a){delete e[a]},register:function(a,c){if(g[a])throw Error(a+" already registered");g[a]=c},unregister:function(a){delete g[a]},
+readBytes:function(a,c){u={n:a,callback:c,lf:!0};b.indexOf("\r")<0&&y()},onBinary:function(a,c,d){if(d){if(m[a])throw Error(a+" already registered");m[a]={parse:c||H,callback:d}}else delete m[a]},isBusy:function(){return k!==void 0}};return z};exports.simulate=function(f,l){function r(){for(;n<f.length&&f[n].tx===void 0;){var e=f[n++];e.delay!==void 0?k+=e.delay*y:e.t!==void 0&&(k+=Math.max(e.t-b,0)*y);e.t!==void 0&&(b=e.t);setTimeout(function(m){g.emit("data",m)},k,e.rx)}n>=f.length&&setTimeout(function(){g.emit("end")},
+k);k=0}l=l||{};var y=l.speed===void 0?1:l.speed,n=0,h="",b=0,k=0,g={write:function(e){for(h+=e;h.length;){e=f[n];if(!e){g.emit("mismatch",void 0,h);h="";break}if(e.tx!==void 0){if(e.tx instanceof RegExp){var m=h.match(e.tx);if(!m)break;m=m.index+m[0].length}else{if(h.length<e.tx.length&&e.tx.substr(0,h.length)==h)break;if(h.substr(0,e.tx.length)!=e.tx){g.emit("mismatch",e.tx,h);h="";break}m=e.tx.length}h=h.substr(m);e.t!==void 0&&(b=e.t);n++}r()}},isDone:function(){return n>=f.length}};setTimeout(function(){n||
+r()},0);return g}
\ No newline at end of file
@@ -13,6 +13,12 @@ values. A second argument passed to the constructor, set to true, can be used
 to force UTC if so desired. This is only necessary if DateExt is included and 
 you don't want to use local time.
 
+BREAKING CHANGE: month numbers are now 1-12, as in Linux cron. They used to be
+0-11 (as from Date.getMonth()), and 0 now throws an error. Pass true as a third
+argument to the constructor to keep giving months as 0-11 numbers, i.e.
+  var cron = require("Cron")(1,false,true);
+Month names (JAN-DEC) are not affected.
+
 Jobs defined using job method as in ...
   cron.job({id:'...', time:[...], cb:'...', cbThis: this, args:[...], n:#}); 
     - id: unique reference name for job and event signal name.
@@ -25,7 +31,16 @@ Jobs defined using job method as in ...
         i.e. [5,[0,12],'*','*','1'] --> 5 min after midnight and noon Monday
       - time may also be specified as a cron-style string
         i.e. '5 0,12, * * 1'
-      - time does not support modulo (/) and range (-) shortcut formats
+      - fields may also be ranges (1-5), steps (0-30/10, or 0/15 meaning every
+        15 from 0 - a * can also be used before the /) and names (JAN-DEC, SUN-SAT),
+        i.e. '0/15 8-17 * * MON-FRI' --> every 15 min in working hours
+      - month is 1-12 (or 0-11, see above) and dayOfWk is 0-6 (or 7) from
+        Sunday, as in Linux cron
+      - if both day and dayOfWk are given, the job runs when either matches
+      - an optional seconds field may be given first, [sec,min,hr,day,month,
+        dayOfWk], but only matches if the timer ticks every second or so
+      - or one of @yearly, @monthly, @weekly, @daily, @hourly, or @reboot,
+        which runs the job once when the timer is first started
     - cb: optional callback to call instead of 'id' event
     - cbThis: optional 'this' context for callback
     - args: optional arguments for callback    
@@ -33,6 +48,10 @@ Jobs defined using job method as in ...
     - returns current job list when called without (or with) a job definition 
 Jobs not processed in any particular guaranteed order.
 
+cron.next(id) returns the Date that job 'id' will next run, or with no id the
+soonest of all jobs, so the device can sleep until then. Returns undefined if
+the job will never run again.
+
 cron.job({id:"job1",time:'* * * * *'}); // define a job, time string format 
 cron.job({id:"job2",time:[...]});   // define another cron job 
 ...
@@ -54,49 +73,101 @@ cron.on("job1", function() {...});  // event handler, where "job1"=job id
 // of cron to minimize resources and timer overhead.
 var jobs = {};                                // queue for cronjobs
 var tmr = {dt:0,os:0,t:null,i:null,x:''};     // timer handles and parameters
+var rebooted = false;                         // @reboot jobs have been run
+// allowed [min,max] values of each time field, seconds first
+var RANGES = [[0,59],[0,59],[0,23],[1,31],[1,12],[0,7]];
+// names for months and days of the week
+var NAMES = [,,,,'JANFEBMARAPRMAYJUNJULAUGSEPOCTNOVDEC','SUNMONTUEWEDTHUFRISAT'];
+// @ shortcuts for times
+var MACROS = {'@yearly':'0 0 1 1 *','@annually':'0 0 1 1 *','@monthly':'0 0 1 * *',
+  '@weekly':'0 0 * * 0','@daily':'0 0 * * *','@midnight':'0 0 * * *','@hourly':'0 * * * *'};
 // addition to default local date call to UTC if DateExt module not used
 if (!new Date().local) Date.prototype.local = function() { return this; };
 
+// does time field f (*, number or array) contain the value v?
+function has(f,v) {
+  return f=="*"||(Array.isArray(f)?f.indexOf(v)!=-1:f==v);
+  };
+
+// do the day and dayOfWk fields of time jt (o fields short) match?
+function day(jt,o,date,dow) {
+  var dm = jt[3-o], dw = jt[5-o];
+  if (dm!="*"&&dw!="*") return has(dm,date)||has(dw,dow);
+  return has(dm,date)&&has(dw,dow);
+  };
+
+// does the job time jt match the time dt, [sec,min,hr,day,month,dayOfWk]?
+function match(jt,dt) {
+  if (!Array.isArray(jt)) return false; // @reboot
+  var o = 6-jt.length; // 1 if there's no seconds field
+  for (var i = o;i<5;i++) {
+    if (i!=3&&!has(jt[i-o],dt[i])) return false;
+    };
+  return day(jt,o,dt[3],dt[5]);
+  };
+
+// call a job's callback or emit its event, and delete it after n runs
+function run(c,id) {
+  var j = jobs[id];
+  if ('cb' in j) {j.cb.call(j.cbThis||c,j.args);} else {c.emit(id);};
+  if ('n' in j) {if (--j.n<1) delete jobs[id];};
+  };
+
 // cron update "ping function" called at "tmr.dt"...
 function tick() {
   var c = this;
   var d = c.utc ? new Date() : new Date().local();
-  var dt = [d.getMinutes(),d.getHours(),d.getDate(),d.getMonth(),d.getDay()];
+  var dt = [d.getSeconds(),d.getMinutes(),d.getHours(),d.getDate(),d.getMonth()+1,d.getDay()];
   tmr.x = dt.toString();
   for (var id in jobs) {
-    var j = jobs[id];
-    var jt = j.time;
-    var match = true;
-    for (var i = 0;i<jt.length;i++) {
-      if (jt[i]=="*") continue;
-      if (typeof jt[i]=='number'&&(jt[i]==dt[i])) continue;
-      if (Array.isArray(jt[i])&&jt[i].indexOf(dt[i])!=-1) continue;
-      match = false; break;
-      }
-    if (match) {
-      if ('cb' in j) {j.cb.call(j.cbThis||c,j.args);} else {c.emit(id);};
-      if ('n' in j) {if (--j.n<1) delete jobs[id];};
-      };
+    if (match(jobs[id].time,dt)) run(c,id);
+    };
+  };
+
+// converts a time field to *, a number or an array of numbers, where i is
+// the index of the field in [sec,min,hr,day,month,dayOfWk], and os is added
+// to month numbers (1 if they are given as 0-11)
+function field(f,i,os) {
+  if (f=="*") return f;
+  // numbers are checked against the range like anything else
+  if (Array.isArray(f)||typeof f=='number') f = [].concat(f).join(',');
+  var r = RANGES[i], v = [];
+  // a name or number, i.e. 'MON' or '1'
+  function value(x) {
+    var n = NAMES[i] ? NAMES[i].indexOf(x) : -1;
+    if (n>=0&&x.length==3&&n%3==0) return n/3+(i==4?1:0);
+    return parseInt(x,10)+(i==4?os:0);
     };
+  f.toUpperCase().split(',').forEach(function(p) {
+    if (p==='') return;
+    var s = p.split('/'), step = s.length>1 ? parseInt(s[1],10) : 1;
+    var a = s[0]=='*' ? r : s[0].split('-').map(value);
+    var lo = a[0], hi = a.length>1 ? a[1] : (s.length>1 ? r[1] : lo);
+    if (!(lo>=r[0]&&hi<=r[1]&&lo<=hi&&step>0)) throw new Error("Invalid cron field '"+f+"'");
+    for (var n = lo;n<=hi;n+=step) v.push((i==5) ? n%7 : n);
+    });
+  return v.length==1 ? v[0] : v;
   };
 
 // adds (defines) or removes a cron job, see notes above ...
 function job(j) {
+  var c = this;
   j = j||{};
   if (j.id&&j.time) {
-    if (typeof j.time=='string') j.time = j.time.split(' ');
-    for(var i in j.time){
-      if (j.time[i]=="*") continue;
-      if (typeof j.time[i]=='string'&&j.time[i].indexOf(',')!=-1) {
-        j.time[i] = j.time[i].split(',');
-        };
-      if (Array.isArray(j.time[i])) {
-        for (var k in j.time[i]) j.time[i][k] = parseInt(j.time[i][k],10);
-        }
-      else {
-        j.time[i] = parseInt(j.time[i],10);
-        };
+    var t = j.time;
+    if (typeof t=='string') {
+      t = MACROS[t]||t;
+      if (t!='@reboot') t = t.split(' ').filter(function(f) { return f!==''; });
+      };
+    if (t=='@reboot') {
+      // already started, so run it as soon as there's been a chance to add handlers
+      if (rebooted) setTimeout(function() { if (jobs[j.id]===j) run(c,j.id); },0);
+      }
+    else {
+      if (t.length!=5&&t.length!=6) throw new Error("Cron time needs 5 or 6 fields");
+      t = t.map(function(f,i) { return field(f,i+6-t.length,c.zeroMonth?1:0); });
       };
+    j.time = t;
     jobs[j.id] = j;
     }
   else if (j.id) {
@@ -115,16 +186,55 @@ function init(tp){
     tmr.os = Math.floor(tmr.dt-((getTime()*1000)%tmr.dt));
     tmr.t = setTimeout(function(){tmr.t = null; tmr.i = setInterval(
       function() {tick.call(th);},tmr.dt);tick.call(th);},tmr.os);
+    if (!rebooted) {
+      rebooted = true;
+      for (var id in jobs) {
+        if (jobs[id].time=='@reboot') run(th,id);
+        };
+      };
+    };
+  };
+
+// returns the Date job id will next run (or the soonest of all jobs if no id),
+// or undefined if it never will
+function next(id,from) {
+  var c = this, t, n;
+  if (id===undefined) {
+    for (var k in jobs) {
+      t = next.call(c,k,from);
+      if (t&&(!n||t<n)) n = t;
+      };
+    return n;
+    };
+  var j = jobs[id];
+  if (!j||!Array.isArray(j.time)) return undefined;
+  var now = from||new Date();
+  var d = c.utc ? new Date(now.getTime()) : new Date(now.getTime()).local();
+  var os = d.getTime()-now.getTime(); // local time offset
+  var jt = j.time, o = 6-jt.length, year = d.getFullYear()+8;
+  // start at the next second, or the next minute if there's no seconds field
+  var step = o ? 60000 : 1000;
+  d = new Date((Math.floor(d.getTime()/step)+1)*step);
+  while (d.getFullYear()<=year) {
+    if (!has(jt[4-o],d.getMonth()+1)) {d.setMonth(d.getMonth()+1,1); d.setHours(0,0,0,0); continue;};
+    if (!day(jt,o,d.getDate(),d.getDay())) {d.setDate(d.getDate()+1); d.setHours(0,0,0,0); continue;};
+    if (!has(jt[2-o],d.getHours())) {d.setHours(d.getHours()+1,0,0,0); continue;};
+    if (!has(jt[1-o],d.getMinutes())) {d.setMinutes(d.getMinutes()+1,0,0); continue;};
+    if (!o&&!has(jt[0],d.getSeconds())) {d.setSeconds(d.getSeconds()+1,0); continue;};
+    return new Date(d.getTime()-os);
     };
+  return undefined;
   };
 
 // Cron constructor, tp defaults to 5 min...  
-exports = function (tp,utc) {
+exports = function (tp,utc,zeroMonth) {
   var c = {
     utc: utc ? true : false,  // force utc time if DateExt local used
+    zeroMonth: zeroMonth ? true : false,  // month numbers are 0-11, as before
     tp: tp||5,  // default tick interval
     init: init, // function to enable/disable tick
     job: job,   // function to define jobs
+    next: next, // function to find when jobs next run
     tmr: tmr    // informational, reference to timer handles and parameters
     };
   return c;
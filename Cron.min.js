@@ -1,3 +1,7 @@
-function h(){var a=this.utc?new Date:(new Date).local(),a=[a.getMinutes(),a.getHours(),a.getDate(),a.getMonth(),a.getDay()];b.x=a.toString();for(var c in f){for(var e=f[c],g=e.time,h=!0,d=0;d<g.length;d++)if(!("*"==g[d]||"number"==typeof g[d]&&g[d]==a[d]||Array.isArray(g[d])&&-1!=g[d].indexOf(a[d]))){h=!1;break}h&&("cb"in e?e.cb.call(e.cbThis||this,e.args):this.emit(c),"n"in e&&1>--e.n&&delete f[c])}}function k(a){a=a||{};if(a.id&&a.time){"string"==typeof a.time&&(a.time=a.time.split(" "));
-for(var c in a.time)if("*"!=a.time[c])if("string"==typeof a.time[c]&&-1!=a.time[c].indexOf(",")&&(a.time[c]=a.time[c].split(",")),Array.isArray(a.time[c]))for(var b in a.time[c])a.time[c][b]=parseInt(a.time[c][b],10);else a.time[c]=parseInt(a.time[c],10);f[a.id]=a}else a.id&&delete f[a.id];return f}function l(a){var c=this;b.dt=6E4*(void 0===a?c.tp:a);b.t&&(b.t=clearTimeout(b.t));b.i&&(b.i=clearInterval(b.i));0!==b.dt&&(b.os=Math.floor(b.dt-1E3*getTime()%b.dt),b.t=setTimeout(function(){b.t=null;b.i=
-setInterval(function(){h.call(c)},b.dt);h.call(c)},b.os))}var f={},b={dt:0,os:0,t:null,i:null,x:""};(new Date).local||(Date.prototype.local=function(){return this});exports=function(a,c){return{utc:c?!0:!1,tp:a||5,init:l,job:k,tmr:b}}
\ No newline at end of file
+function l(a,b){return a=="*"||(Array.isArray(a)?a.indexOf(b)!=-1:a==b)}function t(a,b,c,d){var f=a[3-b];a=a[5-b];return f!="*"&&a!="*"?l(f,c)||l(a,d):l(f,c)&&l(a,d)}function p(a,b){var c=k[b];"cb"in c?c.cb.call(c.cbThis||a,c.args):a.emit(b);"n"in c&&--c.n<1&&delete k[b]}function u(){var a=this.utc?new Date:(new Date).local();a=[a.getSeconds(),a.getMinutes(),a.getHours(),a.getDate(),a.getMonth()+1,a.getDay()];e.x=a.toString();for(var b in k){a:{var c=k[b].time;var d=a;if(Array.isArray(c)){for(var f=
+6-c.length,g=f;g<5;g++)if(g!=3&&!l(c[g-f],d[g])){c=!1;break a}c=t(c,f,d[3],d[5])}else c=!1}c&&p(this,b)}}function x(a,b,c){function d(m){var h=v[b]?v[b].indexOf(m):-1;return h>=0&&m.length==3&&h%3==0?h/3+(b==4?1:0):parseInt(m,10)+(b==4?c:0)}if(a=="*")return a;if(Array.isArray(a)||typeof a=="number")a=[].concat(a).join(",");var f=y[b],g=[];a.toUpperCase().split(",").forEach(function(m){if(m!==""){var h=m.split("/");m=h.length>1?parseInt(h[1],10):1;var q=h[0]=="*"?f:h[0].split("-").map(d),n=q[0];h=
+q.length>1?q[1]:h.length>1?f[1]:n;if(!(n>=f[0]&&h<=f[1]&&n<=h&&m>0))throw Error("Invalid cron field '"+a+"'");for(;n<=h;n+=m)g.push(b==5?n%7:n)}});return g.length==1?g[0]:g}function z(a){var b=this;a=a||{};if(a.id&&a.time){var c=a.time;typeof c=="string"&&(c=A[c]||c,c!="@reboot"&&(c=c.split(" ").filter(function(d){return d!==""})));if(c=="@reboot")r&&setTimeout(function(){k[a.id]===a&&p(b,a.id)},0);else{if(c.length!=5&&c.length!=6)throw Error("Cron time needs 5 or 6 fields");c=c.map(function(d,f){return x(d,
+f+6-c.length,b.zeroMonth?1:0)})}a.time=c;k[a.id]=a}else a.id&&delete k[a.id];return k}function B(a){var b=this;e.dt=(a===void 0?b.tp:a)*6E4;e.t&&(e.t=clearTimeout(e.t));e.i&&(e.i=clearInterval(e.i));if(e.dt!==0&&(e.os=Math.floor(e.dt-getTime()*1E3%e.dt),e.t=setTimeout(function(){e.t=null;e.i=setInterval(function(){u.call(b)},e.dt);u.call(b)},e.os),!r)){r=!0;for(var c in k)k[c].time=="@reboot"&&p(b,c)}}function w(a,b){var c;if(a===void 0){for(var d in k)(a=w.call(this,d,b))&&(!c||a<c)&&(c=a);return c}if((d=
+k[a])&&Array.isArray(d.time)){c=b||new Date;b=this.utc?new Date(c.getTime()):(new Date(c.getTime())).local();c=b.getTime()-c.getTime();d=d.time;a=6-d.length;var f=b.getFullYear()+8,g=a?6E4:1E3;for(b=new Date((Math.floor(b.getTime()/g)+1)*g);b.getFullYear()<=f;)if(l(d[4-a],b.getMonth()+1))if(t(d,a,b.getDate(),b.getDay()))if(l(d[2-a],b.getHours()))if(l(d[1-a],b.getMinutes())){if(a||l(d[0],b.getSeconds()))return new Date(b.getTime()-c);b.setSeconds(b.getSeconds()+1,0)}else b.setMinutes(b.getMinutes()+
+1,0,0);else b.setHours(b.getHours()+1,0,0,0);else b.setDate(b.getDate()+1),b.setHours(0,0,0,0);else b.setMonth(b.getMonth()+1,1),b.setHours(0,0,0,0)}}var k={},e={dt:0,os:0,t:null,i:null,x:""},r=!1,y=[[0,59],[0,59],[0,23],[1,31],[1,12],[0,7]],v=[,,,,"JANFEBMARAPRMAYJUNJULAUGSEPOCTNOVDEC","SUNMONTUEWEDTHUFRISAT"],A={"@yearly":"0 0 1 1 *","@annually":"0 0 1 1 *","@monthly":"0 0 1 * *","@weekly":"0 0 * * 0","@daily":"0 0 * * *","@midnight":"0 0 * * *","@hourly":"0 * * * *"};(new Date).local||(Date.prototype.local=
+function(){return this});exports=function(a,b,c){return{utc:b?!0:!1,zeroMonth:c?!0:!1,tp:a||5,init:B,job:z,next:w,tmr:e}}
\ No newline at end of file
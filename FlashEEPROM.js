@@ -1,3 +1,14 @@
+// flags in the top bits of a block's length
+var MORE = 0x8000; // more blocks of the same value follow
+var CONT = 0x4000; // continues the value in the previous block
+var CHUNK = 0x3FFC; // the most data in one block
+// first byte of the header at the start of each page, in multi-page mode.
+// The last byte is 0xFF, which a block's key can never start with
+var MAGIC = 0x45;
+// keys used by the key-value store, see FlashEEPROM.kv()
+var KV_BASE = 0x8000;
+var KV_SLOTS = 0x7F00;
+
 /** Create a new Flash EEPROM.
 
  `addr` - addr to start at (if left off, this will be the address 
@@ -8,8 +19,18 @@
  `flash` - the flash object to use (it will use the internal 
    flash if this undefined). If an object implements read, write,
    erasePage and getPage then it can be used 
+
+ `options` - optional. `{pages:N}` spreads the data over N consecutive
+   flash pages (N must be at least 2). New data is written to one page at
+   a time, moving on to the next page when it is full. When only one empty
+   page is left, the live data in the oldest page is copied to it before the
+   oldest page is erased - so the wear is spread over all the pages, and
+   nothing is lost if power fails part way through. All N pages must be in
+   free flash memory (if `flash` has getFree). Data written without `pages`
+   is moved into the new format. Pages after the first that contain other
+   data are never erased - an error is thrown instead.
 */ 
-function FlashEEPROM(addr, flash) {
+function FlashEEPROM(addr, flash, options) {
   this.flash = flash ? flash : require("Flash");
   if (addr) {
     this.addr = addr;
@@ -28,73 +49,227 @@ function FlashEEPROM(addr, flash) {
   if (!page) throw "Couldn't find flash page";
   this.addr = page.addr;
   this.endAddr = page.addr+page.length;
+  // the pages we've written to, oldest first
+  this.log = [{addr:this.addr, end:this.endAddr}];
+  if (options && options.pages>1) {
+    this.pages = [];
+    this.pageSize = page.length;
+    for (var i=0;i<options.pages;i++) {
+      page = this.flash.getPage(i ? this.endAddr : this.addr);
+      if (!page) throw "Couldn't find flash page";
+      this.endAddr = page.addr+page.length;
+      this.pages.push({addr:page.addr, end:this.endAddr});
+      this.pageSize = Math.min(this.pageSize, page.length);
+    }
+    if (this.flash.getFree!==undefined) {
+      // don't let the pages run on into code or firmware
+      var free = this.flash.getFree();
+      this.pages.forEach(function(p) {
+        if (!free.some(function(f) { return p.addr>=f.addr && p.end<=f.addr+f.length; }))
+          throw "Pages must be in free flash memory";
+      });
+    }
+    this.mount();
+  }
 }
 
+/** Internal function - find which pages are in use in multi-page mode, and
+ tidy up after a copy or erase that was interrupted by a loss of power */
+FlashEEPROM.prototype.mount = function() {
+  var flash = this.flash;
+  var log = [];
+  var copies = [];
+  var single = false;
+  this.pages.forEach(function(page, i) {
+    var h = flash.read(8, page.addr);
+    page.seq = undefined;
+    if (h[0]==MAGIC && h[3]==255) {
+      page.seq = h[1] | (h[2]<<8);
+      log.push(page);
+    } else if ((h[0]&h[1]&h[2]&h[3])==255 && (h[4]&h[5]&h[6]&h[7])!=255) {
+      // data with no header - maybe we were copying to this page when power failed
+      copies.push(page);
+    } else if ((h[0]&h[1]&h[2]&h[3])!=255) {
+      // the first page is ours whatever mode it was written in - but never
+      // erase a page we haven't used
+      if (i) throw "Flash page at 0x"+page.addr.toString(16)+" contains other data";
+      single = true;
+    }
+  });
+  // seq wraps around at 16 bits
+  log.sort(function(a,b) { return ((a.seq-b.seq)<<16)>>16; });
+  // all pages in use - we'd copied everything but not erased the oldest page
+  if (log.length==this.pages.length) {
+    flash.erasePage(log[0].addr);
+    log.shift().seq = undefined;
+  }
+  this.log = log;
+  // only tidy up the page we'd have been copying to (or moving the first
+  // page's data to), or the first page - which is always ours
+  var spare = log.length ? this._spare() : this.pages[single ? 1 : 0];
+  copies.forEach(function(page) {
+    if (page!=spare && page!=this.pages[0])
+      throw "Flash page at 0x"+page.addr.toString(16)+" contains other data";
+  }, this);
+  copies.forEach(function(page) {
+    flash.erasePage(page.addr);
+  });
+  if (single) {
+    // written without `pages` - or we'd moved its data but not erased it
+    if (!log.length) this._migrate();
+    flash.erasePage(this.pages[0].addr);
+  }
+  if (!this.log.length) this._header(this.pages[0], 0);
+};
+
+/** Internal function - copy the data written without `pages` in the first
+ page to the second, in the multi-page format */
+FlashEEPROM.prototype._migrate = function() {
+  var pages = this.pages;
+  var first = pages[0], spare = pages[1];
+  // read it as a single page
+  this.pages = undefined;
+  this.log = [{addr:first.addr, end:first.end}];
+  var ok = true;
+  var end = this._scan(function(key, n, l) {
+    if ((l&~(MORE|CONT))>CHUNK) ok = false;
+  });
+  if (!ok || end>first.end) {
+    this.pages = pages;
+    throw "Flash page at 0x"+first.addr.toString(16)+" contains other data";
+  }
+  var data = this.readAll();
+  this.pages = pages;
+  this.log = [];
+  var size = 0, key;
+  for (key in data) size += this._size(data[key].length);
+  if (size>spare.end-spare.addr-4) throw "Not enough memory!";
+  var n = spare.addr+4;
+  for (key in data)
+    n = this._writeValue(n, key, data[key]);
+  // only mark the page as in use once everything is copied
+  this._header(spare, 0);
+};
+
+/// Internal function to write the header that marks a page as in use
+FlashEEPROM.prototype._header = function(page, seq) {
+  seq &= 0xFFFF;
+  this.flash.write(new Uint8Array([MAGIC, seq, seq>>8, 255]), page.addr);
+  page.seq = seq;
+  this.log.push(page);
+  return page.addr+4;
+};
+
+/** Internal function - call fn(key, n, length, page) for every block, in the
+ order they were written. `length` includes the MORE and CONT flags. Returns
+ the address of the next free block */
+FlashEEPROM.prototype._scan = function(fn) {
+  var n;
+  for (var i=0;i<this.log.length;i++) {
+    var page = this.log[i];
+    n = page.addr + (this.pages?4:0);
+    var key = this.flash.read(4, n);
+    while (key[3]!=255 && n<page.end) {
+      var l = key[1] | (key[2]<<8);
+      fn(key[0] | (key[3]<<8), n, l, page);
+      n += ((l&~(MORE|CONT))+7) & ~3;
+      key = this.flash.read(4, n);
+    }
+  }
+  return n;
+};
+
+/** Internal function - call fn(key, chunks, page) for the value of every
+ write (or only those for `only` if it is defined), in the order they were
+ written. `chunks` is an array of [address, length] of the data in each
+ block of the value, and `page` is the page the value starts in. Returns the
+ address of the next free block */
+FlashEEPROM.prototype._values = function(fn, only) {
+  var parts = {};
+  return this._scan(function(key, n, l, page) {
+    if (only!==undefined && key!=only) return;
+    var chunk = [n+4, l&~(MORE|CONT)];
+    if (!(l&CONT)) parts[key] = {chunks:[chunk], page:page};
+    else if (parts[key]) parts[key].chunks.push(chunk);
+    else return; // the start of this value was lost
+    if (!(l&MORE)) {
+      fn(key, parts[key].chunks, parts[key].page);
+      delete parts[key];
+    }
+  });
+};
+
+/// Internal function - read the data in an array of chunks from _values
+FlashEEPROM.prototype._read = function(chunks) {
+  if (chunks.length==1) return this.flash.read(chunks[0][1], chunks[0][0]);
+  var i, l = 0;
+  for (i=0;i<chunks.length;i++) l += chunks[i][1];
+  var data = new Uint8Array(l);
+  l = 0;
+  for (i=0;i<chunks.length;i++) {
+    data.set(this.flash.read(chunks[i][1], chunks[i][0]), l);
+    l += chunks[i][1];
+  }
+  return data;
+};
+
 /** Internal function - return an object containing:
-    * addr: the address in memory of the key (must be between 0 and 255), or -1 if it doesn't exist 
+    * addr: the address in memory of the key (must be between 0 and 65279), or -1 if it doesn't exist 
+    * chunks: the [address, length] of each block of the key's data
     * end: the address of the next free entry in memory
 */
 FlashEEPROM.prototype.getAddr = function(addr) { 
   // search for the last occurrence of the address in flash
-  var n = this.addr;
-  var key = this.flash.read(4, n);
-  var lastAddr = -1;
-  while (key[3]!=255 && n<this.endAddr) {
-    if (key[0] == addr) lastAddr = n;
-    var l = key[1] | (key[2]<<8);
-    n += (l+7) & ~3;
-    key = this.flash.read(4, n);
-  }
-  return {addr:lastAddr, end:n};
+  var a = {addr:-1};
+  a.end = this._values(function(key, chunks) {
+    a.addr = chunks[0][0]-4;
+    a.chunks = chunks;
+  }, addr);
+  return a;
 };
 
-/** Read the current value of a key (key must be between 0 and 255).
+/** Read the current value of a key (key must be between 0 and 65279).
  This will return a Uint8Array. It can be converted to a string
  with E.toString() */
 FlashEEPROM.prototype.read = function(addr) { 
-  var lastAddr = this.getAddr(addr).addr;
+  var a = this.getAddr(addr);
   // if not found, return undefined
-  if (lastAddr<0) return undefined;
-  // else get the key again, and return that many characters
-  key = this.flash.read(4, lastAddr);
-  var l = key[1] | (key[2]<<8);
-  return this.flash.read(l, lastAddr+4);
+  if (a.addr<0) return undefined;
+  return this._read(a.chunks);
 };
 
-/** Read the current value of a key (key must be between 0 and 255).
+/** Read the current value of a key (key must be between 0 and 65279).
  This will return a 'Memory Area' string, which directly references the
  data in flash memory rather than loading it into RAM first. This is 
  useful when you've written a lot of data and you're trying to save
- RAM. */
+ RAM. Values too big for one block have to be loaded into RAM though. */
 FlashEEPROM.prototype.readMem = function(addr) { 
-  var lastAddr = this.getAddr(addr).addr;
+  var a = this.getAddr(addr);
   // if not found, return undefined
-  if (lastAddr<0) return undefined;
-  // else get the key again, and return that many characters
-  key = this.flash.read(4, lastAddr);
-  var l = key[1] | (key[2]<<8);
-  return E.memoryArea(lastAddr+4, l);
+  if (a.addr<0) return undefined;
+  if (a.chunks.length>1) return E.toString(this._read(a.chunks));
+  return E.memoryArea(a.chunks[0][0], a.chunks[0][1]);
 };
 
-/// return the current values of all keys in an array
+/** return the current values of all keys in an array. If `this.validate`
+ is set to a function(key, data) and it returns false, the value written
+ before that one is used instead (this is also what cleanup keeps) */
 FlashEEPROM.prototype.readAll = function() { 
   var data = [];
-  var n = this.addr;
-  var key = this.flash.read(4, n);
-  var lastAddr = -1;
-  while (key[3]!=255 && n<this.endAddr) {
-    var l = key[1] | (key[2]<<8);
-    if (l) data[key[0]] = this.flash.read(l, n+4);
-    n += (l+7) & ~3;
-    key = this.flash.read(4, n);
-  }
+  var ee = this;
+  this._values(function(key, chunks) {
+    if (!(chunks.length>1 || chunks[0][1])) return delete data[key];
+    var d = ee._read(chunks);
+    if (!ee.validate || ee.validate(key, d)) data[key] = d;
+  });
   return data;
 };
 
 /// Internal function to write a data block
-FlashEEPROM.prototype._write = function(n, addr, data) {
+FlashEEPROM.prototype._write = function(n, addr, data, flags) {
   // now write header
-  this.flash.write(new Uint8Array([addr, data.length, data.length>>8, 0]), n);
+  var l = data.length | flags;
+  this.flash.write(new Uint8Array([addr, l, l>>8, addr>>8]), n);
   // write data
   n+=4;
   if (data.length!=4) {
@@ -106,43 +281,301 @@ FlashEEPROM.prototype._write = function(n, addr, data) {
   return n+data.length;
 };
 
-/** Write a new value.  Addr must be between 0 and 255, data 
- can be a string or uint8array but cannot be longer than 255 bytes */
+/// Internal function to write a value, split into as many blocks as it needs
+FlashEEPROM.prototype._writeValue = function(n, addr, data) {
+  var o = 0;
+  do {
+    var l = Math.min(data.length-o, CHUNK);
+    n = this._write(n, addr, data.subarray(o, o+l),
+                    (o ? CONT : 0) | (o+l<data.length ? MORE : 0));
+    o += l;
+  } while (o<data.length);
+  return n;
+};
+
+/// Internal function - the number of bytes needed to write a value
+FlashEEPROM.prototype._size = function(length) {
+  var blocks = Math.max(Math.ceil(length/CHUNK), 1);
+  return (blocks-1)*(CHUNK+4) + ((length-(blocks-1)*CHUNK+7) & ~3);
+};
+
+/** Write a new value.  Addr must be between 0 and 65279, data 
+ can be a string or uint8array. Values longer than 16380 bytes are
+ split over several blocks, but must still fit in one page */
 FlashEEPROM.prototype.write = function(addr, data) { 
+  if (!(addr>=0 && addr<0xFF00)) throw "Key must be between 0 and 65279";
   data = E.toUint8Array(data);
   var a = this.getAddr(addr);
   // If we had the key already, check if it is the same
   if (a.addr>=0) {
-    key = this.flash.read(4, a.addr);
-    var l = key[1] | (key[2]<<8);
-    var oldData = this.flash.read(l, a.addr+4);
-    if (oldData == data) return;
+    var oldData = this._read(a.chunks);
+    if (E.toString(oldData) == E.toString(data)) return;
   }
-  // test if we have enough memory
-  if (a.end+data.length+4>=this.endAddr) {
+  var size = this._size(data.length);
+  if (this.pages) {
+    a.end = this._alloc(a.end, size);
+  } else if (a.end+size>=this.endAddr) {
+    // test if we have enough memory
     a.end = this.cleanup();
-    if (a.end+data.length+4>=this.endAddr)
+    if (a.end+size>=this.endAddr)
       throw "Not enough memory!";
   }
   //
-  this._write(a.end, addr, data);
+  this._writeValue(a.end, addr, data);
+};
+
+/** Internal function - return where to write `size` bytes in multi-page mode,
+ given the next free address `n`. If the current page is full, this moves
+ on to the next page, copying the live data out of the oldest page if only
+ one empty page is left */
+FlashEEPROM.prototype._alloc = function(n, size) {
+  if (size>this.pageSize-4) throw "Not enough memory!";
+  var tries = this.pages.length;
+  while (n+size>this.log[this.log.length-1].end) {
+    if (!tries--) throw "Not enough memory!";
+    if (this.log.length<this.pages.length-1)
+      n = this._header(this._spare(), this.log[this.log.length-1].seq+1);
+    else
+      n = this.cleanup();
+  }
+  return n;
+};
+
+/// Internal function - return the next empty page after the current one
+FlashEEPROM.prototype._spare = function() {
+  var i = this.pages.indexOf(this.log[this.log.length-1]);
+  do {
+    i = (i+1) % this.pages.length;
+  } while (this.pages[i].seq!==undefined);
+  return this.pages[i];
 };
 
-/// Read all data, erase the page, and write it back (removing duplicates)
+/** Read all data, erase the page, and write it back (removing duplicates).
+ In multi-page mode, the live data in the oldest page is copied to the empty
+ page first, and the oldest page is then erased. Returns the next free address */
 FlashEEPROM.prototype.cleanup = function() {
+  if (this.pages) {
+    var oldest = this.log[0];
+    var live = [];
+    var ee = this;
+    this._values(function(key, chunks, page) {
+      // keep the last good value, even if it's in the oldest page
+      if (ee.validate && !ee.validate(key, ee._read(chunks))) return;
+      live[key] = page==oldest && (chunks.length>1 || chunks[0][1]) ? chunks : undefined;
+    });
+    var spare = this._spare();
+    var n = spare.addr+4;
+    for (var key in live) {
+      if (live[key]!==undefined)
+        n = this._writeValue(n, key, this._read(live[key]));
+    }
+    // only mark the page as in use once everything is copied
+    this._header(spare, this.log[this.log.length-1].seq+1);
+    this.flash.erasePage(oldest.addr);
+    oldest.seq = undefined;
+    this.log.shift();
+    return n;
+  }
   var data = this.readAll();
   this.flash.erasePage(this.addr);
   var n = this.addr;
   for (var addr in data) {
     if (data[addr]!==undefined)
-      n = this._write(n, addr, data[addr]);
+      n = this._writeValue(n, addr, data[addr]);
   }
   return n;
 };
 
 /// Erase everything
 FlashEEPROM.prototype.erase = function() {
-  this.flash.erasePage(this.addr);
+  if (this.pages) {
+    for (var i=0;i<this.pages.length;i++)
+      this.flash.erasePage(this.pages[i].addr);
+    this.mount();
+  } else {
+    this.flash.erasePage(this.addr);
+  }
+};
+
+/** Return information about how the flash is being used:
+    * size: the number of bytes that can hold data
+    * used: the number of bytes that have been written
+    * free: the number of bytes that can be written before a cleanup is needed
+    * live: the number of bytes used by the current values
+    * records: the number of blocks that have been written
+    * values: the number of keys that have a value
+*/
+FlashEEPROM.prototype.stat = function() {
+  var s = {size:0, used:0, free:0, live:0, records:0, values:0};
+  var end = this._scan(function(key, n, l) {
+    s.records++;
+    s.used += ((l&~(MORE|CONT))+7) & ~3;
+  });
+  var live = [];
+  this._values(function(key, chunks) {
+    live[key] = chunks;
+  });
+  live.forEach(function(chunks) {
+    if (chunks.length==1 && !chunks[0][1]) return;
+    s.values++;
+    for (var i=0;i<chunks.length;i++) s.live += (chunks[i][1]+7) & ~3;
+  });
+  if (this.pages) {
+    var log = this.log;
+    var empty = 0;
+    this.pages.forEach(function(page) {
+      var l = page.end-page.addr-4;
+      s.size += l;
+      // one empty page is always kept for cleanup
+      if (log.indexOf(page)<0 && empty++) s.free += l;
+    });
+    s.size -= this.pageSize-4;
+    s.free += log[log.length-1].end-end;
+  } else {
+    s.size = this.endAddr-this.addr;
+    s.free = this.endAddr-end;
+  }
+  return s;
+};
+
+/** Return a key-value store that keeps its data in this FlashEEPROM. See
+ the KeyValue functions below. It uses the numeric keys from 32768 upwards,
+ so keys below that can still be used with read and write */
+FlashEEPROM.prototype.kv = function() {
+  return new KeyValue(this);
+};
+
+/** A key-value store on top of a FlashEEPROM. Keys are strings of up to 255
+ characters, and values can be numbers, booleans, or anything that can be
+ written with JSON.stringify. Each value is stored with a CRC, and if it
+ doesn't match (for instance if power failed while it was being written)
+ the value that was there before is used instead */
+function KeyValue(eeprom) {
+  this.eeprom = eeprom;
+  // so cleanup doesn't throw away good values in favour of corrupt ones
+  eeprom.validate = function(key, data) {
+    return key<KV_BASE || kvDecode(data)!==undefined;
+  };
+}
+
+/// Internal function - turn a key and value into the data to store
+function kvEncode(key, value) {
+  var type, data;
+  if (value===undefined) {
+    type = "D"; // deleted
+    data = "";
+  } else if (typeof value=="number") {
+    type = "N";
+    data = E.toString(new Uint8Array(new Float64Array([value]).buffer));
+  } else if (typeof value=="boolean") {
+    type = "B";
+    data = value ? "1" : "0";
+  } else {
+    type = "J";
+    data = JSON.stringify(value);
+  }
+  data = String.fromCharCode(key.length) + key + type + data;
+  var crc = E.CRC32(data);
+  return String.fromCharCode(crc&255, (crc>>8)&255, (crc>>16)&255, (crc>>24)&255) + data;
+}
+
+/** Internal function - turn stored data back into {key, value, deleted}, or
+ return undefined if the CRC doesn't match */
+function kvDecode(data) {
+  data = E.toString(data);
+  if (data.length<6) return undefined;
+  var crc = data.charCodeAt(0) | (data.charCodeAt(1)<<8) |
+            (data.charCodeAt(2)<<16) | (data.charCodeAt(3)<<24);
+  data = data.substr(4);
+  if (crc != (E.CRC32(data)|0)) return undefined;
+  var l = data.charCodeAt(0);
+  var e = {key:data.substr(1,l)};
+  var type = data[l+1];
+  data = data.substr(l+2);
+  if (type=="N") e.value = new Float64Array(E.toUint8Array(data).buffer)[0];
+  else if (type=="B") e.value = data=="1";
+  else if (type=="J") e.value = JSON.parse(data);
+  else e.deleted = true;
+  return e;
+}
+
+/** Internal function - return the newest entry in a slot with a good CRC,
+ {corrupt:true} if none of them are good, or undefined if it is empty */
+KeyValue.prototype._entry = function(slot) {
+  var eeprom = this.eeprom;
+  var e;
+  eeprom._values(function(key, chunks) {
+    e = kvDecode(eeprom._read(chunks)) || e || {corrupt:true};
+  }, slot);
+  return e;
+};
+
+/** Internal function - return {slot, entry} for a key. If the key isn't found,
+ `slot` is where it can be written and `entry` is undefined */
+KeyValue.prototype._find = function(key) {
+  if (typeof key!="string" || key.length>255)
+    throw "Key must be a string of up to 255 characters";
+  var hash = (E.CRC32(key)>>>0) % KV_SLOTS;
+  var free;
+  for (var i=0;i<KV_SLOTS;i++) {
+    var slot = KV_BASE + (hash+i)%KV_SLOTS;
+    var e = this._entry(slot);
+    // nothing ever written here, so the key can't be any further on
+    if (!e) return {slot:free===undefined ? slot : free};
+    if (e.key==key) return {slot:slot, entry:e};
+    if ((e.deleted || e.corrupt) && free===undefined) free = slot;
+  }
+  if (free===undefined) throw "Not enough memory!";
+  return {slot:free};
+};
+
+/// Read the value of a key, or return undefined if it hasn't been written
+KeyValue.prototype.read = function(key) {
+  var e = this._find(key).entry;
+  return e && !e.deleted ? e.value : undefined;
+};
+
+/// Write a new value for a key. Writing undefined removes the key
+KeyValue.prototype.write = function(key, value) {
+  var f = this._find(key);
+  if (value===undefined && (!f.entry || f.entry.deleted)) return;
+  this.eeprom.write(f.slot, kvEncode(key, value));
+};
+
+/// Remove a key
+KeyValue.prototype.remove = function(key) {
+  this.write(key, undefined);
+};
+
+/// Return an object containing the current value of every key
+KeyValue.prototype.readAll = function() {
+  var eeprom = this.eeprom;
+  var entries = {};
+  eeprom._values(function(key, chunks) {
+    if (key>=KV_BASE)
+      entries[key] = kvDecode(eeprom._read(chunks)) || entries[key] || {corrupt:true};
+  });
+  var data = {};
+  for (var slot in entries) {
+    var e = entries[slot];
+    if (e.key!==undefined && !e.deleted) data[e.key] = e.value;
+  }
+  return data;
+};
+
+/** Return the same information as FlashEEPROM.stat, as well as:
+    * keys: the number of keys that have a value
+    * corrupt: the number of records whose CRC didn't match
+*/
+KeyValue.prototype.stat = function() {
+  var eeprom = this.eeprom;
+  var s = eeprom.stat();
+  s.keys = Object.keys(this.readAll()).length;
+  s.corrupt = 0;
+  eeprom._values(function(key, chunks) {
+    if (key>=KV_BASE && !kvDecode(eeprom._read(chunks))) s.corrupt++;
+  });
+  return s;
 };
 
 exports = FlashEEPROM;
@@ -1,4 +1,17 @@
-function d(b,c){this.flash=c?c:require("Flash");if(b)this.addr=b;else if(void 0!==this.flash.getFree){var a=this.flash.getFree();if(a.length)this.addr=a[0].addr;else throw"No free flash memory found";}else{a=process.memory();if(!a.flash_start||!a.flash_length)throw"process.memory() didn't contain information about flash memory";this.addr=a.flash_start+a.flash_length}a=this.flash.getPage(this.addr);if(!a)throw"Couldn't find flash page";this.addr=a.addr;this.endAddr=a.addr+a.length}d.prototype.getAddr=
-function(b){for(var c=this.addr,a=this.flash.read(4,c),d=-1;255!=a[3]&&c<this.endAddr;)a[0]==b&&(d=c),c+=(a[1]|a[2]<<8)+7&-4,a=this.flash.read(4,c);return{addr:d,end:c}};d.prototype.read=function(b){b=this.getAddr(b).addr;if(!(0>b))return key=this.flash.read(4,b),this.flash.read(key[1]|key[2]<<8,b+4)};d.prototype.readMem=function(b){b=this.getAddr(b).addr;if(!(0>b))return key=this.flash.read(4,b),E.memoryArea(b+4,key[1]|key[2]<<8)};d.prototype.readAll=function(){for(var b=[],c=this.addr,a=this.flash.read(4,
-c);255!=a[3]&&c<this.endAddr;){var d=a[1]|a[2]<<8;d&&(b[a[0]]=this.flash.read(d,c+4));c+=d+7&-4;a=this.flash.read(4,c)}return b};d.prototype._write=function(b,c,a){this.flash.write(new Uint8Array([c,a.length,a.length>>8,0]),b);b+=4;4!=a.length&&(c=new Uint8Array(a.length+3&-4),c.set(a),a=c);a.length&&this.flash.write(a,b);return b+a.length};d.prototype.write=function(b,c){c=E.toUint8Array(c);var a=this.getAddr(b);if(0<=a.addr&&(key=this.flash.read(4,a.addr),this.flash.read(key[1]|key[2]<<8,a.addr+
-4)==c))return;if(a.end+c.length+4>=this.endAddr&&(a.end=this.cleanup(),a.end+c.length+4>=this.endAddr))throw"Not enough memory!";this._write(a.end,b,c)};d.prototype.cleanup=function(){var b=this.readAll();this.flash.erasePage(this.addr);var c=this.addr,a;for(a in b)void 0!==b[a]&&(c=this._write(c,a,b[a]));return c};d.prototype.erase=function(){this.flash.erasePage(this.addr)};exports=d
\ No newline at end of file
+function h(a,b,c){this.flash=b?b:require("Flash");if(a)this.addr=a;else if(this.flash.getFree!==void 0){var d=this.flash.getFree();if(d.length)this.addr=d[0].addr;else throw"No free flash memory found";}else{a=process.memory();if(!a.flash_start||!a.flash_length)throw"process.memory() didn't contain information about flash memory";this.addr=a.flash_start+a.flash_length}a=this.flash.getPage(this.addr);if(!a)throw"Couldn't find flash page";this.addr=a.addr;this.endAddr=a.addr+a.length;this.log=
+[{addr:this.addr,end:this.endAddr}];if(c&&c.pages>1){this.pages=[];this.pageSize=a.length;for(b=0;b<c.pages;b++){a=this.flash.getPage(b?this.endAddr:this.addr);if(!a)throw"Couldn't find flash page";this.endAddr=a.addr+a.length;this.pages.push({addr:a.addr,end:this.endAddr});this.pageSize=Math.min(this.pageSize,a.length)}this.flash.getFree!==void 0&&(d=this.flash.getFree(),this.pages.forEach(function(f){if(!d.some(function(e){return f.addr>=e.addr&&f.end<=e.addr+e.length}))throw"Pages must be in free flash memory";
+}));this.mount()}}function l(a){this.eeprom=a;a.validate=function(b,c){return b<32768||m(c)!==void 0}}function m(a){a=E.toString(a);if(!(a.length<6)){var b=a.charCodeAt(0)|a.charCodeAt(1)<<8|a.charCodeAt(2)<<16|a.charCodeAt(3)<<24;a=a.substr(4);if(b==(E.CRC32(a)|0)){b=a.charCodeAt(0);var c={key:a.substr(1,b)},d=a[b+1];a=a.substr(b+2);d=="N"?c.value=(new Float64Array(E.toUint8Array(a).buffer))[0]:d=="B"?c.value=a=="1":d=="J"?c.value=JSON.parse(a):c.deleted=!0;return c}}}h.prototype.mount=function(){var a=
+this.flash,b=[],c=[],d=!1;this.pages.forEach(function(e,k){var g=a.read(8,e.addr);e.seq=void 0;if(g[0]==69&&g[3]==255)e.seq=g[1]|g[2]<<8,b.push(e);else if((g[0]&g[1]&g[2]&g[3])==255&&(g[4]&g[5]&g[6]&g[7])!=255)c.push(e);else if((g[0]&g[1]&g[2]&g[3])!=255){if(k)throw"Flash page at 0x"+e.addr.toString(16)+" contains other data";d=!0}});b.sort(function(e,k){return e.seq-k.seq<<16>>16});b.length==this.pages.length&&(a.erasePage(b[0].addr),b.shift().seq=void 0);this.log=b;var f=b.length?this._spare():
+this.pages[d?1:0];c.forEach(function(e){if(e!=f&&e!=this.pages[0])throw"Flash page at 0x"+e.addr.toString(16)+" contains other data";},this);c.forEach(function(e){a.erasePage(e.addr)});d&&(b.length||this._migrate(),a.erasePage(this.pages[0].addr));this.log.length||this._header(this.pages[0],0)};h.prototype._migrate=function(){var a=this.pages,b=a[0],c=a[1];this.pages=void 0;this.log=[{addr:b.addr,end:b.end}];var d=!0,f=this._scan(function(k,g,n){(n&-49153)>16380&&(d=!1)});if(!d||f>b.end)throw this.pages=
+a,"Flash page at 0x"+b.addr.toString(16)+" contains other data";b=this.readAll();this.pages=a;this.log=[];a=0;for(var e in b)a+=this._size(b[e].length);if(a>c.end-c.addr-4)throw"Not enough memory!";a=c.addr+4;for(e in b)a=this._writeValue(a,e,b[e]);this._header(c,0)};h.prototype._header=function(a,b){b&=65535;this.flash.write(new Uint8Array([69,b,b>>8,255]),a.addr);a.seq=b;this.log.push(a);return a.addr+4};h.prototype._scan=function(a){for(var b,c=0;c<this.log.length;c++){var d=this.log[c];b=d.addr+
+(this.pages?4:0);for(var f=this.flash.read(4,b);f[3]!=255&&b<d.end;){var e=f[1]|f[2]<<8;a(f[0]|f[3]<<8,b,e,d);b+=(e&-49153)+7&-4;f=this.flash.read(4,b)}}return b};h.prototype._values=function(a,b){var c={};return this._scan(function(d,f,e,k){if(b===void 0||d==b){f=[f+4,e&-49153];if(e&16384)if(c[d])c[d].chunks.push(f);else return;else c[d]={chunks:[f],page:k};e&32768||(a(d,c[d].chunks,c[d].page),delete c[d])}})};h.prototype._read=function(a){if(a.length==1)return this.flash.read(a[0][1],a[0][0]);var b,
+c=0;for(b=0;b<a.length;b++)c+=a[b][1];var d=new Uint8Array(c);for(b=c=0;b<a.length;b++)d.set(this.flash.read(a[b][1],a[b][0]),c),c+=a[b][1];return d};h.prototype.getAddr=function(a){var b={addr:-1};b.end=this._values(function(c,d){b.addr=d[0][0]-4;b.chunks=d},a);return b};h.prototype.read=function(a){a=this.getAddr(a);if(!(a.addr<0))return this._read(a.chunks)};h.prototype.readMem=function(a){a=this.getAddr(a);if(!(a.addr<0))return a.chunks.length>1?E.toString(this._read(a.chunks)):E.memoryArea(a.chunks[0][0],
+a.chunks[0][1])};h.prototype.readAll=function(){var a=[],b=this;this._values(function(c,d){if(!(d.length>1||d[0][1]))return delete a[c];d=b._read(d);if(!b.validate||b.validate(c,d))a[c]=d});return a};h.prototype._write=function(a,b,c,d){d|=c.length;this.flash.write(new Uint8Array([b,d,d>>8,b>>8]),a);a+=4;c.length!=4&&(b=new Uint8Array(c.length+3&-4),b.set(c),c=b);c.length&&this.flash.write(c,a);return a+c.length};h.prototype._writeValue=function(a,b,c){var d=0;do{var f=Math.min(c.length-d,16380);
+a=this._write(a,b,c.subarray(d,d+f),(d?16384:0)|(d+f<c.length?32768:0));d+=f}while(d<c.length);return a};h.prototype._size=function(a){var b=Math.max(Math.ceil(a/16380),1);return(b-1)*16384+(a-(b-1)*16380+7&-4)};h.prototype.write=function(a,b){if(!(a>=0&&a<65280))throw"Key must be between 0 and 65279";b=E.toUint8Array(b);var c=this.getAddr(a);if(c.addr>=0){var d=this._read(c.chunks);if(E.toString(d)==E.toString(b))return}d=this._size(b.length);if(this.pages)c.end=this._alloc(c.end,d);else if(c.end+
+d>=this.endAddr&&(c.end=this.cleanup(),c.end+d>=this.endAddr))throw"Not enough memory!";this._writeValue(c.end,a,b)};h.prototype._alloc=function(a,b){if(b>this.pageSize-4)throw"Not enough memory!";for(var c=this.pages.length;a+b>this.log[this.log.length-1].end;){if(!c--)throw"Not enough memory!";a=this.log.length<this.pages.length-1?this._header(this._spare(),this.log[this.log.length-1].seq+1):this.cleanup()}return a};h.prototype._spare=function(){var a=this.pages.indexOf(this.log[this.log.length-
+1]);do a=(a+1)%this.pages.length;while(this.pages[a].seq!==void 0);return this.pages[a]};h.prototype.cleanup=function(){if(this.pages){var a=this.log[0],b=[],c=this;this._values(function(k,g,n){if(!c.validate||c.validate(k,c._read(g)))b[k]=n==a&&(g.length>1||g[0][1])?g:void 0});var d=this._spare(),f=d.addr+4;for(e in b)b[e]!==void 0&&(f=this._writeValue(f,e,this._read(b[e])));this._header(d,this.log[this.log.length-1].seq+1);this.flash.erasePage(a.addr);a.seq=void 0;this.log.shift();return f}var e=
+this.readAll();this.flash.erasePage(this.addr);f=this.addr;for(d in e)e[d]!==void 0&&(f=this._writeValue(f,d,e[d]));return f};h.prototype.erase=function(){if(this.pages){for(var a=0;a<this.pages.length;a++)this.flash.erasePage(this.pages[a].addr);this.mount()}else this.flash.erasePage(this.addr)};h.prototype.stat=function(){var a={size:0,used:0,free:0,live:0,records:0,values:0},b=this._scan(function(e,k,g){a.records++;a.used+=(g&-49153)+7&-4}),c=[];this._values(function(e,k){c[e]=k});c.forEach(function(e){if(e.length!=
+1||e[0][1]){a.values++;for(var k=0;k<e.length;k++)a.live+=e[k][1]+7&-4}});if(this.pages){var d=this.log,f=0;this.pages.forEach(function(e){var k=e.end-e.addr-4;a.size+=k;d.indexOf(e)<0&&f++&&(a.free+=k)});a.size-=this.pageSize-4;a.free+=d[d.length-1].end-b}else a.size=this.endAddr-this.addr,a.free=this.endAddr-b;return a};h.prototype.kv=function(){return new l(this)};l.prototype._entry=function(a){var b=this.eeprom,c;b._values(function(d,f){c=m(b._read(f))||c||{corrupt:!0}},a);return c};l.prototype._find=
+function(a){if(typeof a!="string"||a.length>255)throw"Key must be a string of up to 255 characters";for(var b=(E.CRC32(a)>>>0)%32512,c,d=0;d<32512;d++){var f=32768+(b+d)%32512,e=this._entry(f);if(!e)return{slot:c===void 0?f:c};if(e.key==a)return{slot:f,entry:e};(e.deleted||e.corrupt)&&c===void 0&&(c=f)}if(c===void 0)throw"Not enough memory!";return{slot:c}};l.prototype.read=function(a){return(a=this._find(a).entry)&&!a.deleted?a.value:void 0};l.prototype.write=function(a,b){var c=this._find(a);if(b!==
+void 0||c.entry&&!c.entry.deleted){var d=this.eeprom,f=d.write;c=c.slot;if(b===void 0){var e="D";b=""}else typeof b=="number"?(e="N",b=E.toString(new Uint8Array((new Float64Array([b])).buffer))):typeof b=="boolean"?(e="B",b=b?"1":"0"):(e="J",b=JSON.stringify(b));b=String.fromCharCode(a.length)+a+e+b;a=E.CRC32(b);a=String.fromCharCode(a&255,a>>8&255,a>>16&255,a>>24&255)+b;f.call(d,c,a)}};l.prototype.remove=function(a){this.write(a,void 0)};l.prototype.readAll=function(){var a=this.eeprom,b={};a._values(function(e,
+k){e>=32768&&(b[e]=m(a._read(k))||b[e]||{corrupt:!0})});var c={},d;for(d in b){var f=b[d];f.key===void 0||f.deleted||(c[f.key]=f.value)}return c};l.prototype.stat=function(){var a=this.eeprom,b=a.stat();b.keys=Object.keys(this.readAll()).length;b.corrupt=0;a._values(function(c,d){c>=32768&&!m(a._read(d))&&b.corrupt++});return b};exports=h
\ No newline at end of file
@@ -8,38 +8,343 @@ var gps = connect(Serial4, function(data) {
   console.log(data);
 });
 ```
+
+The callback is called with each GGA sentence. GGA, RMC, GSA, GSV, VTG and
+GLL sentences from any talker (GP, GN, GL, GA, BD...) are also emitted as
+events of the same name, and merged into `gps.fix`, which is emitted as a
+'fix' event after each GGA, RMC or GLL sentence (or NAV-PVT message, see
+below). Lines with a missing or wrong checksum are ignored.
+
+```
+gps.on('RMC', function(rmc) { console.log(rmc.speed, rmc.course); });
+gps.on('fix', function(fix) { console.log(fix.lat, fix.lon, fix.date, fix.hdop); });
+```
+
+u-blox receivers can also use their binary UBX protocol, which is read
+alongside NMEA. Every UBX message is emitted as 'UBX' with {cls, id, payload},
+and NAV-PVT messages are decoded, emitted as 'NAV-PVT' and merged into
+`gps.fix` too. Configuration (CFG) commands call back with undefined when the
+receiver acknowledges them, or "NAK" or "Timeout" if it doesn't.
+
+```
+// UBX only, NAV-PVT 5 times a second
+gps.setPort({out:"UBX"}, function(err) {
+  gps.setMessageRate("NAV-PVT", 1, function(err) {
+    gps.setRate(200);
+  });
+});
+gps.on('NAV-PVT', function(pvt) { console.log(pvt.lat, pvt.lon, pvt.hAcc); });
+gps.setPowerSave(true);
+```
 */
-function handleGPSLine(line, callback) {
-  var tag = line.substr(3,3);
-  if (tag=="GGA") {
-    var d = line.split(",");
-    var dlat = d[2].indexOf(".");
-    var dlon = d[4].indexOf(".");
-    callback({
-      time : d[1].substr(0,2)+":"+d[1].substr(2,2)+":"+d[1].substr(4,2),
-      lat : (parseInt(d[2].substr(0,dlat-2),10)+parseFloat(d[2].substr(dlat-2))/60)*(d[3]=="S"?-1:1),
-      lon : (parseInt(d[4].substr(0,dlon-2),10)+parseFloat(d[4].substr(dlon-2))/60)*(d[5]=="W"?-1:1),
+
+// ddmm.mmmm (or dddmm.mmmm) and N/S/E/W as decimal degrees
+function pos(v, hemi) {
+  if (!v) return undefined;
+  var dp = v.indexOf(".");
+  if (dp<0) dp = v.length;
+  return (parseInt(v.substr(0,dp-2),10)+parseFloat(v.substr(dp-2))/60)*(hemi=="S"||hemi=="W"?-1:1);
+}
+
+// a number, or undefined if the field is empty
+function num(v) {
+  return v ? parseFloat(v) : undefined;
+}
+
+// hhmmss.ss as hh:mm:ss
+function time(v) {
+  return v ? v.substr(0,2)+":"+v.substr(2,2)+":"+v.substr(4,2) : undefined;
+}
+
+// parse each type of sentence (split at ',') into an object
+var SENTENCES = {
+  GGA : function(d) {
+    return {
+      time : time(d[1]),
+      lat : pos(d[2], d[3]),
+      lon : pos(d[4], d[5]),
       fix : parseInt(d[6],10),
       satellites : parseInt(d[7],10),
-      altitude : parseFloat(d[9])
+      hdop : num(d[8]),
+      altitude : num(d[9])
+    };
+  },
+  RMC : function(d) {
+    var knots = num(d[7]);
+    return {
+      time : time(d[1]),
+      valid : d[2]=="A",
+      lat : pos(d[3], d[4]),
+      lon : pos(d[5], d[6]),
+      knots : knots,
+      speed : knots===undefined ? undefined : knots*1.852, // km/h
+      course : num(d[8]),
+      date : d[9] ? "20"+d[9].substr(4,2)+"-"+d[9].substr(2,2)+"-"+d[9].substr(0,2) : undefined,
+      variation : d[10] ? parseFloat(d[10])*(d[11]=="W"?-1:1) : undefined
+    };
+  },
+  GSA : function(d) {
+    var used = [];
+    for (var i=3;i<15;i++)
+      if (d[i]) used.push(parseInt(d[i],10));
+    return {
+      mode : d[1], // A=auto, M=manual
+      fixType : parseInt(d[2],10), // 1=none, 2=2D, 3=3D
+      used : used, // ids of the satellites used for the fix
+      pdop : num(d[15]),
+      hdop : num(d[16]),
+      vdop : num(d[17])
+    };
+  },
+  GSV : function(d) {
+    var sats = [];
+    for (var i=4;i+3<d.length;i+=4) {
+      if (d[i]) sats.push({
+        id : parseInt(d[i],10),
+        elevation : num(d[i+1]),
+        azimuth : num(d[i+2]),
+        snr : num(d[i+3])
+      });
+    }
+    return {
+      count : parseInt(d[1],10), // number of GSV sentences
+      index : parseInt(d[2],10), // which one this is, from 1
+      inView : parseInt(d[3],10),
+      satellites : sats
+    };
+  },
+  VTG : function(d) {
+    return {
+      course : num(d[1]),
+      courseMagnetic : num(d[3]),
+      knots : num(d[5]),
+      speed : num(d[7]) // km/h
+    };
+  },
+  GLL : function(d) {
+    return {
+      lat : pos(d[1], d[2]),
+      lon : pos(d[3], d[4]),
+      time : time(d[5]),
+      valid : d[6]=="A"
+    };
+  }
+};
+
+// is the '*hh' checksum at the end of the line right?
+function checksumOK(line, star) {
+  var c = 0;
+  for (var i=1;i<star;i++) c ^= line.charCodeAt(i);
+  return star>0 && parseInt(line.substr(star+1,2),16)==c;
+}
+
+// add a sentence to gps.fix
+function merge(gps, tag, s) {
+  if (tag=="GSV") {
+    // collect satellites over all the GSV sentences for each talker
+    if (s.index==1) gps.gsv[s.talker] = [];
+    var sats = gps.gsv[s.talker];
+    if (!sats) return;
+    s.satellites.forEach(function(sat) {
+      sat.talker = s.talker;
+      sats.push(sat);
     });
+    if (s.index<s.count) return;
+    gps.sats[s.talker] = sats;
+    delete gps.gsv[s.talker];
+    gps.fix.inView = [];
+    for (var t in gps.sats) gps.fix.inView = gps.fix.inView.concat(gps.sats[t]);
+    return;
+  }
+  for (var k in s) {
+    var v = s[k];
+    if (v!==undefined && !(typeof v=="number" && isNaN(v))) gps.fix[k] = v;
+  }
+  if (tag=="GGA" || tag=="RMC" || tag=="GLL" || tag=="NAV-PVT") gps.emit('fix', gps.fix);
+}
+
+// [class, id] of UBX messages
+var UBX = {
+  "NAV-PVT" : [0x01,0x07],
+  "ACK-NAK" : [0x05,0x00], "ACK-ACK" : [0x05,0x01],
+  "CFG-PRT" : [0x06,0x00], "CFG-MSG" : [0x06,0x01],
+  "CFG-RATE" : [0x06,0x08], "CFG-RXM" : [0x06,0x11],
+  // NMEA sentences, for CFG-MSG
+  GGA : [0xF0,0x00], GLL : [0xF0,0x01], GSA : [0xF0,0x02],
+  GSV : [0xF0,0x03], RMC : [0xF0,0x04], VTG : [0xF0,0x05]
+};
+
+// v as n little-endian bytes
+function le(v, n) {
+  var s = "";
+  for (var i=0;i<n;i++) s += String.fromCharCode((v>>(i*8))&255);
+  return s;
+}
+
+// the 2 byte UBX checksum of d (class, id, length and payload)
+function ubxChecksum(d) {
+  var a = 0, b = 0;
+  for (var i=0;i<d.length;i++) {
+    a = (a+d.charCodeAt(i))&255;
+    b = (b+a)&255;
+  }
+  return String.fromCharCode(a,b);
+}
+
+// make a UBX frame from a class, id and payload (string or array)
+function ubxFrame(cls, id, payload) {
+  if (typeof payload!="string") payload = payload ? E.toString(payload) : "";
+  var d = String.fromCharCode(cls, id) + le(payload.length, 2) + payload;
+  return "\xB5\x62" + d + ubxChecksum(d);
+}
+
+// decode a NAV-PVT payload
+function navPVT(p) {
+  var v = new DataView(E.toUint8Array(p).buffer);
+  function two(n) { return ("0"+n).substr(-2); }
+  var gSpeed = v.getInt32(60,true);
+  return {
+    time : two(v.getUint8(8))+":"+two(v.getUint8(9))+":"+two(v.getUint8(10)),
+    date : v.getUint16(4,true)+"-"+two(v.getUint8(6))+"-"+two(v.getUint8(7)),
+    valid : (v.getUint8(21)&1)!=0, // gnssFixOK
+    fixType : v.getUint8(20), // 0=none, 1=dead reckoning, 2=2D, 3=3D, 4=GNSS+DR, 5=time only
+    satellites : v.getUint8(23),
+    lon : v.getInt32(24,true)/1E7,
+    lat : v.getInt32(28,true)/1E7,
+    height : v.getInt32(32,true)/1000, // above the ellipsoid, m
+    altitude : v.getInt32(36,true)/1000, // above sea level, m
+    hAcc : v.getUint32(40,true)/1000, // m
+    vAcc : v.getUint32(44,true)/1000, // m
+    velN : v.getInt32(48,true)/1000, // m/s
+    velE : v.getInt32(52,true)/1000,
+    velD : v.getInt32(56,true)/1000,
+    speed : gSpeed*0.0036, // km/h
+    knots : gSpeed*0.0036/1.852,
+    course : v.getInt32(64,true)/1E5,
+    pdop : v.getUint16(76,true)/100
+  };
+}
+
+// handle a complete UBX frame, with a good checksum
+function handleUBX(f, gps) {
+  var len = f.length-8;
+  var msg = {cls:f.charCodeAt(2), id:f.charCodeAt(3), payload:f.substr(6,len)};
+  gps.emit('UBX', msg);
+  if (msg.cls==0x05) { // ACK-ACK or ACK-NAK
+    var cls = msg.payload.charCodeAt(0), id = msg.payload.charCodeAt(1);
+    for (var i=0;i<gps.acks.length;i++) {
+      var a = gps.acks[i];
+      if (a.cls==cls && a.id==id) {
+        gps.acks.splice(i,1);
+        clearTimeout(a.timeout);
+        if (a.callback) a.callback(msg.id ? undefined : "NAK");
+        return;
+      }
+    }
+  } else if (msg.cls==0x01 && msg.id==0x07 && len>=84) {
+    var pvt = navPVT(msg.payload);
+    gps.emit('NAV-PVT', pvt);
+    merge(gps, 'NAV-PVT', pvt);
   }
 }
 
+function handleGPSLine(line, callback, gps) {
+  // skip any junk before the sentence, like the rest of a bad UBX frame
+  line = line.substr(Math.max(line.indexOf("$"),0));
+  var star = line.lastIndexOf("*");
+  if (line[0]!="$" || !checksumOK(line, star)) return;
+  var d = line.substr(0,star).split(",");
+  var tag = d[0].substr(3,3);
+  if (!(tag in SENTENCES)) return;
+  var s = SENTENCES[tag](d);
+  s.talker = d[0].substr(1,2);
+  if (tag=="GGA" && callback) callback(s);
+  gps.emit(tag, s);
+  merge(gps, tag, s);
+}
+
 
 exports.connect = function(serial, callback) {
-  var gps = {line:""};
+  var gps = {line:"", fix:{}, gsv:{}, sats:{}, acks:[]};
   serial.on('data', function(data) {
     gps.line += data;
-    var idx = gps.line.indexOf("\n");
-    while (idx>=0) {
-      var line = gps.line.substr(0, idx);
-      gps.line = gps.line.substr(idx+1);
-      handleGPSLine(line, callback); 
-      idx = gps.line.indexOf("\n");     
+    while (true) {
+      var idx = gps.line.indexOf("\n");
+      var ubx = gps.line.indexOf("\xB5\x62");
+      if (idx>=0 && (ubx<0 || idx<ubx)) {
+        var line = gps.line.substr(0, idx);
+        gps.line = gps.line.substr(idx+1);
+        handleGPSLine(line, callback, gps);
+        continue;
+      }
+      if (ubx<0 || gps.line.length<ubx+6) break;
+      // a UBX frame - wait until it's all here
+      var len = gps.line.charCodeAt(ubx+4) | (gps.line.charCodeAt(ubx+5)<<8);
+      if (len>1024) { // can't be right - skip it
+        gps.line = gps.line.substr(ubx+2);
+        continue;
+      }
+      if (gps.line.length<ubx+len+8) break;
+      var f = gps.line.substr(ubx, len+8);
+      if (ubxChecksum(f.substr(2,len+4))!=f.substr(len+6)) {
+        // not a real frame - skip just the sync bytes, so NMEA after them is read
+        gps.line = gps.line.substr(ubx+2);
+        continue;
+      }
+      gps.line = gps.line.substr(ubx+len+8);
+      handleUBX(f, gps);
     }
-    if (gps.line.length > 80)
+    if (gps.line.length > 80 && gps.line.indexOf("\xB5\x62")<0)
       gps.line = gps.line.substr(-80);
   });
+  /* Send a UBX message - cls and id are numbers, or id is left out and cls is
+   a name like "CFG-RATE". For CFG messages, callback(err) is called when the
+   receiver acknowledges it (err is undefined), or with "NAK" or "Timeout" */
+  gps.ubx = function(cls, id, payload, callback) {
+    if (typeof cls=="string") {
+      callback = payload;
+      payload = id;
+      id = UBX[cls][1];
+      cls = UBX[cls][0];
+    }
+    serial.write(ubxFrame(cls, id, payload));
+    if (cls!=0x06) return;
+    var a = {cls:cls, id:id, callback:callback};
+    a.timeout = setTimeout(function() {
+      gps.acks.splice(gps.acks.indexOf(a),1);
+      if (callback) callback("Timeout");
+    }, 1000);
+    gps.acks.push(a);
+  };
+  // Set the time between measurements, in ms (CFG-RATE)
+  gps.setRate = function(ms, callback) {
+    gps.ubx("CFG-RATE", le(ms,2)+le(1,2)+le(1,2), callback);
+  };
+  /* Set how often a message is sent, in measurements (0 turns it off), on
+   the current port (CFG-MSG). msg is a name like "NAV-PVT" or "GSV", or
+   [class, id] */
+  gps.setMessageRate = function(msg, rate, callback) {
+    if (typeof msg=="string") msg = UBX[msg];
+    gps.ubx("CFG-MSG", [msg[0], msg[1], rate], callback);
+  };
+  /* Set up a serial port (CFG-PRT) with options:
+   port - the port number (default 1, the first UART)
+   baud - the baud rate (default 9600). Change the baud rate of the Espruino's
+     serial port after calling this - the receiver may reply at the new rate
+   in, out - the protocols to accept/send: "UBX", "NMEA" or "UBX+NMEA" (default) */
+  gps.setPort = function(options, callback) {
+    options = options||{};
+    function proto(p) {
+      p = p||"UBX+NMEA";
+      return (p.indexOf("UBX")>=0 ? 1 : 0) | (p.indexOf("NMEA")>=0 ? 2 : 0);
+    }
+    gps.ubx("CFG-PRT", String.fromCharCode(options.port===undefined ? 1 : options.port, 0) +
+      le(0,2) + le(0x8D0,4) /* 8N1 */ + le(options.baud||9600,4) +
+      le(proto(options["in"]),2) + le(proto(options.out),2) + le(0,2) + le(0,2), callback);
+  };
+  // Turn power save mode on or off (CFG-RXM)
+  gps.setPowerSave = function(on, callback) {
+    gps.ubx("CFG-RXM", [8, on ? 1 : 0], callback);
+  };
   return gps;
 }
@@ -1,2 +1,10 @@
-exports.connect=function(f,g){var b={line:""};f.on("data",function(c){b.line+=c;for(c=b.line.indexOf("\n");0<=c;){var a=b.line.substr(0,c);b.line=b.line.substr(c+1);c=g;if("GGA"==a.substr(3,3)){var a=a.split(","),d=a[2].indexOf("."),e=a[4].indexOf(".");c({time:a[1].substr(0,2)+":"+a[1].substr(2,2)+":"+a[1].substr(4,2),lat:(parseInt(a[2].substr(0,d-2),10)+parseFloat(a[2].substr(d-2))/60)*("S"==a[3]?-1:1),lon:(parseInt(a[4].substr(0,e-2),10)+parseFloat(a[4].substr(e-2))/60)*("W"==a[5]?-1:
-1),fix:parseInt(a[6],10),satellites:parseInt(a[7],10),altitude:parseFloat(a[9])})}c=b.line.indexOf("\n")}80<b.line.length&&(b.line=b.line.substr(-80))});return b}
\ No newline at end of file
+function n(a,f){if(a){var b=a.indexOf(".");b<0&&(b=a.length);return(parseInt(a.substr(0,b-2),10)+parseFloat(a.substr(b-2))/60)*(f=="S"||f=="W"?-1:1)}}function k(a){return a?parseFloat(a):void 0}function p(a){return a?a.substr(0,2)+":"+a.substr(2,2)+":"+a.substr(4,2):void 0}function t(a,f,b){if(f=="GSV"){b.index==1&&(a.gsv[b.talker]=[]);var c=a.gsv[b.talker];if(c&&(b.satellites.forEach(function(g){g.talker=b.talker;c.push(g)}),!(b.index<b.count))){a.sats[b.talker]=c;delete a.gsv[b.talker];
+a.fix.inView=[];for(var d in a.sats)a.fix.inView=a.fix.inView.concat(a.sats[d])}}else{for(var e in b)d=b[e],d===void 0||typeof d=="number"&&isNaN(d)||(a.fix[e]=d);f!="GGA"&&f!="RMC"&&f!="GLL"&&f!="NAV-PVT"||a.emit("fix",a.fix)}}function l(a,f){for(var b="",c=0;c<f;c++)b+=String.fromCharCode(a>>c*8&255);return b}function u(a){for(var f=0,b=0,c=0;c<a.length;c++)f=f+a.charCodeAt(c)&255,b=b+f&255;return String.fromCharCode(f,b)}function x(a,f,b){typeof b!="string"&&(b=b?E.toString(b):"");a=String.fromCharCode(a,
+f)+l(b.length,2)+b;return"\u00b5b"+a+u(a)}function y(a){function f(c){return("0"+c).substr(-2)}a=new DataView(E.toUint8Array(a).buffer);var b=a.getInt32(60,!0);return{time:f(a.getUint8(8))+":"+f(a.getUint8(9))+":"+f(a.getUint8(10)),date:a.getUint16(4,!0)+"-"+f(a.getUint8(6))+"-"+f(a.getUint8(7)),valid:(a.getUint8(21)&1)!=0,fixType:a.getUint8(20),satellites:a.getUint8(23),lon:a.getInt32(24,!0)/1E7,lat:a.getInt32(28,!0)/1E7,height:a.getInt32(32,!0)/1E3,altitude:a.getInt32(36,!0)/1E3,hAcc:a.getUint32(40,
+!0)/1E3,vAcc:a.getUint32(44,!0)/1E3,velN:a.getInt32(48,!0)/1E3,velE:a.getInt32(52,!0)/1E3,velD:a.getInt32(56,!0)/1E3,speed:b*.0036,knots:b*.0036/1.852,course:a.getInt32(64,!0)/1E5,pdop:a.getUint16(76,!0)/100}}var v={GGA:function(a){return{time:p(a[1]),lat:n(a[2],a[3]),lon:n(a[4],a[5]),fix:parseInt(a[6],10),satellites:parseInt(a[7],10),hdop:k(a[8]),altitude:k(a[9])}},RMC:function(a){var f=k(a[7]);return{time:p(a[1]),valid:a[2]=="A",lat:n(a[3],a[4]),lon:n(a[5],a[6]),knots:f,speed:f===void 0?void 0:
+f*1.852,course:k(a[8]),date:a[9]?"20"+a[9].substr(4,2)+"-"+a[9].substr(2,2)+"-"+a[9].substr(0,2):void 0,variation:a[10]?parseFloat(a[10])*(a[11]=="W"?-1:1):void 0}},GSA:function(a){for(var f=[],b=3;b<15;b++)a[b]&&f.push(parseInt(a[b],10));return{mode:a[1],fixType:parseInt(a[2],10),used:f,pdop:k(a[15]),hdop:k(a[16]),vdop:k(a[17])}},GSV:function(a){for(var f=[],b=4;b+3<a.length;b+=4)a[b]&&f.push({id:parseInt(a[b],10),elevation:k(a[b+1]),azimuth:k(a[b+2]),snr:k(a[b+3])});return{count:parseInt(a[1],10),
+index:parseInt(a[2],10),inView:parseInt(a[3],10),satellites:f}},VTG:function(a){return{course:k(a[1]),courseMagnetic:k(a[3]),knots:k(a[5]),speed:k(a[7])}},GLL:function(a){return{lat:n(a[1],a[2]),lon:n(a[3],a[4]),time:p(a[5]),valid:a[6]=="A"}}},q={"NAV-PVT":[1,7],"ACK-NAK":[5,0],"ACK-ACK":[5,1],"CFG-PRT":[6,0],"CFG-MSG":[6,1],"CFG-RATE":[6,8],"CFG-RXM":[6,17],GGA:[240,0],GLL:[240,1],GSA:[240,2],GSV:[240,3],RMC:[240,4],VTG:[240,5]};exports.connect=function(a,f){var b={line:"",fix:{},gsv:{},sats:{},
+acks:[]};a.on("data",function(c){for(b.line+=c;;){var d=b.line.indexOf("\n");c=b.line.indexOf("\u00b5b");if(d>=0&&(c<0||d<c)){c=b.line.substr(0,d);b.line=b.line.substr(d+1);var e=c;c=f;d=b;e=e.substr(Math.max(e.indexOf("$"),0));var g=e.lastIndexOf("*"),h;if(h=e[0]=="$"){h=e;for(var m=g,w=0,r=1;r<m;r++)w^=h.charCodeAt(r);h=m>0&&parseInt(h.substr(m+1,2),16)==w}h&&(e=e.substr(0,g).split(","),g=e[0].substr(3,3),g in v&&(h=v[g](e),h.talker=e[0].substr(1,2),g=="GGA"&&c&&c(h),d.emit(g,h),t(d,g,h)))}else{if(c<
+0||b.line.length<c+6)break;d=b.line.charCodeAt(c+4)|b.line.charCodeAt(c+5)<<8;if(d>1024)b.line=b.line.substr(c+2);else{if(b.line.length<c+d+8)break;e=b.line.substr(c,d+8);if(u(e.substr(2,d+4))!=e.substr(d+6))b.line=b.line.substr(c+2);else a:if(b.line=b.line.substr(c+d+8),d=e,c=b,e=d.length-8,d={cls:d.charCodeAt(2),id:d.charCodeAt(3),payload:d.substr(6,e)},c.emit("UBX",d),d.cls==5)for(g=d.payload.charCodeAt(0),h=d.payload.charCodeAt(1),m=0;m<c.acks.length;m++){if(e=c.acks[m],e.cls==g&&e.id==h){c.acks.splice(m,
+1);clearTimeout(e.timeout);e.callback&&e.callback(d.id?void 0:"NAK");break a}}else d.cls==1&&d.id==7&&e>=84&&(d=y(d.payload),c.emit("NAV-PVT",d),t(c,"NAV-PVT",d))}}}b.line.length>80&&b.line.indexOf("\u00b5b")<0&&(b.line=b.line.substr(-80))});b.ubx=function(c,d,e,g){typeof c=="string"&&(g=e,e=d,d=q[c][1],c=q[c][0]);a.write(x(c,d,e));if(c==6){var h={cls:c,id:d,callback:g};h.timeout=setTimeout(function(){b.acks.splice(b.acks.indexOf(h),1);g&&g("Timeout")},1E3);b.acks.push(h)}};b.setRate=function(c,d){b.ubx("CFG-RATE",
+l(c,2)+l(1,2)+l(1,2),d)};b.setMessageRate=function(c,d,e){typeof c=="string"&&(c=q[c]);b.ubx("CFG-MSG",[c[0],c[1],d],e)};b.setPort=function(c,d){function e(g){g=g||"UBX+NMEA";return(g.indexOf("UBX")>=0?1:0)|(g.indexOf("NMEA")>=0?2:0)}c=c||{};b.ubx("CFG-PRT",String.fromCharCode(c.port===void 0?1:c.port,0)+l(0,2)+l(2256,4)+l(c.baud||9600,4)+l(e(c["in"]),2)+l(e(c.out),2)+l(0,2)+l(0,2),d)};b.setPowerSave=function(c,d){b.ubx("CFG-RXM",[8,c?1:0],d)};return b}
\ No newline at end of file
@@ -28,6 +28,48 @@ var TYPE = {
     DISCONNECT : 14
 };
 
+/**
+ MQTT 5 properties - id: [name, type]
+ Types are byte (1), two (2) and four (4) byte integers, variable byte
+ integer ('v'), string/binary data ('s') and string pair ('p')
+ http://docs.oasis-open.org/mqtt/mqtt/v5.0/os/mqtt-v5.0-os.html#_Toc3901027
+ **/
+var PROPS = {
+    0x01: ['payload_format_indicator', 1],
+    0x02: ['message_expiry_interval', 4],
+    0x03: ['content_type', 's'],
+    0x08: ['response_topic', 's'],
+    0x09: ['correlation_data', 's'],
+    0x0B: ['subscription_identifier', 'v'],
+    0x11: ['session_expiry_interval', 4],
+    0x12: ['assigned_client_identifier', 's'],
+    0x13: ['server_keep_alive', 2],
+    0x15: ['authentication_method', 's'],
+    0x16: ['authentication_data', 's'],
+    0x17: ['request_problem_information', 1],
+    0x18: ['will_delay_interval', 4],
+    0x19: ['request_response_information', 1],
+    0x1A: ['response_information', 's'],
+    0x1C: ['server_reference', 's'],
+    0x1F: ['reason_string', 's'],
+    0x21: ['receive_maximum', 2],
+    0x22: ['topic_alias_maximum', 2],
+    0x23: ['topic_alias', 2],
+    0x24: ['maximum_qos', 1],
+    0x25: ['retain_available', 1],
+    0x26: ['user_properties', 'p'],
+    0x27: ['maximum_packet_size', 4],
+    0x28: ['wildcard_subscription_available', 1],
+    0x29: ['subscription_identifier_available', 1],
+    0x2A: ['shared_subscription_available', 1]
+};
+
+/** MQTT 5 property ids by name */
+var PROP_IDS = {};
+Object.keys(PROPS).forEach(function (id) {
+    PROP_IDS[PROPS[id][0]] = 0 | id;
+});
+
 /** No longer a constant */
 //var pakId = Math.floor(Math.random() * 65535);
 
@@ -44,6 +86,56 @@ var RETURN_CODES = {
     5: 'NOT_AUTHORIZED'
 };
 
+/**
+ MQTT 5 Reason Codes
+ http://docs.oasis-open.org/mqtt/mqtt/v5.0/os/mqtt-v5.0-os.html#_Toc3901031
+ **/
+var REASON_CODES = {
+    0x00: 'SUCCESS',
+    0x01: 'GRANTED_QOS_1',
+    0x02: 'GRANTED_QOS_2',
+    0x04: 'DISCONNECT_WITH_WILL_MESSAGE',
+    0x10: 'NO_MATCHING_SUBSCRIBERS',
+    0x11: 'NO_SUBSCRIPTION_EXISTED',
+    0x18: 'CONTINUE_AUTHENTICATION',
+    0x19: 'RE_AUTHENTICATE',
+    0x80: 'UNSPECIFIED_ERROR',
+    0x81: 'MALFORMED_PACKET',
+    0x82: 'PROTOCOL_ERROR',
+    0x83: 'IMPLEMENTATION_SPECIFIC_ERROR',
+    0x84: 'UNSUPPORTED_PROTOCOL_VERSION',
+    0x85: 'CLIENT_IDENTIFIER_NOT_VALID',
+    0x86: 'BAD_USER_NAME_OR_PASSWORD',
+    0x87: 'NOT_AUTHORIZED',
+    0x88: 'SERVER_UNAVAILABLE',
+    0x89: 'SERVER_BUSY',
+    0x8A: 'BANNED',
+    0x8B: 'SERVER_SHUTTING_DOWN',
+    0x8C: 'BAD_AUTHENTICATION_METHOD',
+    0x8D: 'KEEP_ALIVE_TIMEOUT',
+    0x8E: 'SESSION_TAKEN_OVER',
+    0x8F: 'TOPIC_FILTER_INVALID',
+    0x90: 'TOPIC_NAME_INVALID',
+    0x91: 'PACKET_IDENTIFIER_IN_USE',
+    0x92: 'PACKET_IDENTIFIER_NOT_FOUND',
+    0x93: 'RECEIVE_MAXIMUM_EXCEEDED',
+    0x94: 'TOPIC_ALIAS_INVALID',
+    0x95: 'PACKET_TOO_LARGE',
+    0x96: 'MESSAGE_RATE_TOO_HIGH',
+    0x97: 'QUOTA_EXCEEDED',
+    0x98: 'ADMINISTRATIVE_ACTION',
+    0x99: 'PAYLOAD_FORMAT_INVALID',
+    0x9A: 'RETAIN_NOT_SUPPORTED',
+    0x9B: 'QOS_NOT_SUPPORTED',
+    0x9C: 'USE_ANOTHER_SERVER',
+    0x9D: 'SERVER_MOVED',
+    0x9E: 'SHARED_SUBSCRIPTIONS_NOT_SUPPORTED',
+    0x9F: 'CONNECTION_RATE_EXCEEDED',
+    0xA0: 'MAXIMUM_CONNECT_TIME',
+    0xA1: 'SUBSCRIPTION_IDENTIFIERS_NOT_SUPPORTED',
+    0xA2: 'WILDCARD_SUBSCRIPTIONS_NOT_SUPPORTED'
+};
+
 /** MQTT constructor */
 function MQTT(server, options) {
     this.server = server;
@@ -54,19 +146,42 @@ function MQTT(server, options) {
     this.clean_session = options.clean_session || true;
     this.username = options.username;
     this.password = options.password;
+    this.will = options.will; // Last Will and Testament: {topic, message, qos, retain}
     this.client = false;
     this.connected = false;
     this.pakId = Math.floor(Math.random() * 65534);
+    this.ack_timeout = options.ack_timeout || this.C.ACK_TIMEOUT;
+    this.max_retries = options.max_retries !== undefined ? options.max_retries : this.C.MAX_RETRIES;
+    this.inflight = {}; // outgoing QoS 1/2 packets awaiting acknowledgement, by packet id
+    this.inbound = {};  // incoming QoS 2 packet ids awaiting PUBREL
+    this.subs = {};     // active subscriptions (topic: qos), resent after reconnecting
+    this.handlers = {}; // message handlers by topic filter
+    this.subacks = {};  // subscribe callbacks awaiting SUBACK, by packet id
+    this.subq = [];     // subscribe calls made while offline: {subs, properties, cb}
+    // Opt-in reconnect policy: true or {delay, max_delay, jitter}
+    this.reconnect = options.reconnect === true ? {} : options.reconnect;
+    this.queue_size = options.queue_size !== undefined ? options.queue_size : this.C.QUEUE_SIZE;
+    this.queue = [];    // publishes buffered while offline
+    this.attempts = 0;  // reconnection attempts since the last successful connection
     this.ping_interval =
         this.keep_alive < this.C.PING_INTERVAL ? (this.keep_alive - 5) : this.C.PING_INTERVAL;
     this.protocol_name = options.protocol_name || "MQTT";
     this.protocol_level = createEscapedHex(options.protocol_level || C.PROTOCOL_LEVEL);
+    this.v5 = options.protocol_level === 5;
+    this.properties = options.properties; // MQTT 5 CONNECT properties
+    this.binary = options.binary; // emit received messages as Uint8Array
 }
 
 /** 'public' constants here */
 MQTT.prototype.C = {
     DEF_QOS        : 0,    // Default QOS level
     CONNECT_TIMEOUT: 5000, // Time (ms) to wait for CONNACK
+    ACK_TIMEOUT    : 10000, // Time (ms) to wait for PUBACK/PUBREC/PUBCOMP before resending
+    MAX_RETRIES    : 3,    // Resends of a QoS 1/2 packet before giving up
+    RECONNECT_DELAY: 1000, // Initial delay (ms) before reconnecting
+    RECONNECT_MAX  : 60000, // Maximum delay (ms) between reconnection attempts
+    RECONNECT_JITTER: 0.2, // Random extra delay, as a fraction of the delay
+    QUEUE_SIZE     : 10,   // Publishes buffered while offline (when reconnecting)
     PING_INTERVAL  : 40    // Server ping interval (s)
 };
 
@@ -94,17 +209,19 @@ function mqttPacketLength(length) {
     return encLength;
 }
 
-/** MQTT packet length decoder - algorithm from reference docs */
+/** MQTT packet length decoder - algorithm from reference docs.
+ Returns undefined if more bytes are needed, 0 if the length is malformed */
 function mqttPacketLengthDec(length) {
     var mul = 1;
     var bytes = 0;
     var decL = 0;
     do {
+        if (bytes >= length.length) return;
         var lb = (length.charCodeAt(bytes++));
         decL += mul * (lb & 127);
-        mul *= 128;
-        if (mul > 2097152) return 0;
         if ((lb & 128) === 0) break;
+        mul *= 128;
+        if (mul > 2097152) return 0; // at most 4 bytes
     } while (bytes < 5);
     return {"decLen": decL, "lenBy": bytes};
 }
@@ -114,17 +231,99 @@ function mqttPacket(cmd, variable, payload) {
     return fromCharCode(cmd) + mqttPacketLength(variable.length + payload.length) + variable + payload;
 }
 
-/** PUBLISH packet parser - returns object with topic and message */
-function parsePublish(data) {
+/** MQTT 5 properties formatter - props is an object keyed by property name */
+function mqttProps(props) {
+    var s = '';
+    for (var name in props) {
+        var id = PROP_IDS[name];
+        var v = props[name];
+        if (id === undefined) continue;
+        var type = PROPS[id][1];
+        if (type === 'p') {
+            for (var k in v) s += fromCharCode(id) + mqttStr(k) + mqttStr(v[k].toString());
+            continue;
+        }
+        s += fromCharCode(id);
+        if (type === 1) s += fromCharCode(v);
+        else if (type === 2) s += fromCharCode(v >> 8, v & 255);
+        else if (type === 4) s += fromCharCode(v >>> 24, (v >> 16) & 255, (v >> 8) & 255, v & 255);
+        else if (type === 'v') s += mqttPacketLength(v);
+        else s += mqttStr(v.toString());
+    }
+    return mqttPacketLength(s.length) + s;
+}
+
+/** MQTT 5 properties parser - returns {props, end} where end is the offset after them */
+function parseProps(data, i) {
+    var len = mqttPacketLengthDec(data.substr(i, 4)) || {decLen: 0, lenBy: 0};
+    var end = i + len.lenBy + len.decLen;
+    var props = {};
+    i += len.lenBy;
+    while (i < end) {
+        var p = PROPS[data.charCodeAt(i++)];
+        if (!p) break;
+        var type = p[1];
+        var v;
+        if (type === 1) v = data.charCodeAt(i++);
+        else if (type === 2) {
+            v = data.charCodeAt(i) << 8 | data.charCodeAt(i + 1);
+            i += 2;
+        }
+        else if (type === 4) {
+            v = data.charCodeAt(i) * 16777216 + (data.charCodeAt(i + 1) << 16 | data.charCodeAt(i + 2) << 8 | data.charCodeAt(i + 3));
+            i += 4;
+        }
+        else if (type === 'v') {
+            var vl = mqttPacketLengthDec(data.substr(i, 4)) || {decLen: 0, lenBy: 1};
+            v = vl.decLen;
+            i += vl.lenBy;
+        }
+        else {
+            var l = data.charCodeAt(i) << 8 | data.charCodeAt(i + 1);
+            v = data.substr(i + 2, l);
+            i += 2 + l;
+            if (type === 'p') {
+                l = data.charCodeAt(i) << 8 | data.charCodeAt(i + 1);
+                if (!props.user_properties) props.user_properties = {};
+                props.user_properties[v] = data.substr(i + 2, l);
+                i += 2 + l;
+                continue;
+            }
+        }
+        props[p[0]] = v;
+    }
+    return {props: props, end: end};
+}
+
+/** Reason code (and MQTT 5 reason string) as text for errors */
+function mqttReason(v5, code, props) {
+    var r = (v5 ? REASON_CODES : RETURN_CODES)[code] || ("unknown return code: " + code + ".");
+    if (props && props.reason_string) r += " (" + props.reason_string + ")";
+    return r;
+}
+
+/** PUBLISH packet parser - returns object with topic and message.
+ For QoS > 0 the packet id is returned as `pid` (2 char string), and
+ for MQTT 5 the properties as `properties` */
+function parsePublish(data, v5) {
     if (data.length >= 3 && typeof data !== "undefined") {
         var cmd = data.charCodeAt(0);
         var var_len = data.charCodeAt(1) << 8 | data.charCodeAt(2);
+        var qos = (cmd & 0x6) >> 1;
+        var start = 3 + var_len + (qos > 0 ? 2 : 0);
+        var props;
+        if (v5) {
+            props = parseProps(data, start);
+            start = props.end;
+        }
         return {
-            topic  : data.substr(3, var_len),
-            message: data.substr(3 + var_len, data.length - var_len),
-            dup    : (cmd & 0x8) >> 3,
-            qos    : (cmd & 0x6) >> 1,
-            retain : cmd & 0x1
+            topic     : data.substr(3, var_len),
+            message   : data.substr(start, data.length - start),
+            pid       : qos > 0 ? data.substr(3 + var_len, 2) : undefined,
+            properties: props && props.props,
+            dup       : (cmd & 0x8) >> 3,
+            qos       : qos,
+            retain    : cmd & 0x1
         };
     }
 }
@@ -142,10 +341,18 @@ var mqttUid = (function () {
     };
 })();
 
-/** Generate PID */
-function mqttPid() {
-    this.pakId = this.pakId > 65534 ? 1 : ++this.pakId;
-    return fromCharCode(this.pakId >> 8) + fromCharCode(this.pakId & 0xFF);
+/** Message payload (String, Uint8Array, ArrayBuffer or Array of bytes) as a binary string */
+function mqttPayload(message) {
+    if ('string' === typeof message) return message;
+    if (message instanceof ArrayBuffer || message.buffer instanceof ArrayBuffer || Array.isArray(message)) {
+        return E.toString(message instanceof ArrayBuffer ? new Uint8Array(message) : message);
+    }
+    return message.toString();
+}
+
+/** PID (number) as MQTT 2 byte packet identifier */
+function mqttPid(pid) {
+    return fromCharCode(pid >> 8, pid & 0xFF);
 }
 
 /** Get PID from message */
@@ -153,36 +360,55 @@ function getPid(data) {
     return fromCharCode(data.charCodeAt(0)) + fromCharCode(data.charCodeAt(1));
 }
 
-/** PUBLISH control packet */
-function mqttPublish(topic, message, qos) {
-    var cmd = TYPE.PUBLISH << 4 | (qos << 1);
+/** PUBLISH control packet (props are encoded MQTT 5 properties) */
+function mqttPublish(topic, message, qos, pid, retain, props) {
+    var cmd = TYPE.PUBLISH << 4 | (qos << 1) | (retain ? 1 : 0);
     var variable = mqttStr(topic);
     // Packet id must be included for QOS > 0
     if (qos > 0) {
-        variable += mqttPid();
-        return mqttPacket(cmd, variable, message);
-    } else {
-        return mqttPacket(cmd, variable, message);
+        variable += mqttPid(pid);
     }
+    return mqttPacket(cmd, variable + (props || ''), message);
+}
+
+/** PUBACK, PUBREC, PUBREL and PUBCOMP control packets (pid as 2 char string) */
+function mqttAck(type, pid) {
+    return fromCharCode(type << 4 | (type === TYPE.PUBREL ? 2 : 0)) + "\x02" + pid;
 }
 
-/** SUBSCRIBE control packet */
-function mqttSubscribe(topic, qos) {
+/** SUBSCRIBE control packet for an array of {topic, qos} */
+function mqttSubscribe(subs, pid, props) {
     var cmd = TYPE.SUBSCRIBE << 4 | 2;
     return mqttPacket(cmd,
-        mqttPid(),
-        mqttStr(topic) +
-        fromCharCode(qos));
+        mqttPid(pid) + (props || ''),
+        subs.map(function (sub) {
+            return mqttStr(sub.topic) + fromCharCode(sub.qos);
+        }).join(''));
 }
 
 /** UNSUBSCRIBE control packet */
-function mqttUnsubscribe(topic) {
+function mqttUnsubscribe(topic, pid, props) {
     var cmd = TYPE.UNSUBSCRIBE << 4 | 2;
     return mqttPacket(cmd,
-        mqttPid(),
+        mqttPid(pid) + (props || ''),
         mqttStr(topic));
 }
 
+/** Does a topic match a subscription filter (with + and # wildcards)? */
+function mqttMatch(filter, topic) {
+    // Shared subscriptions are '$share/<group>/<filter>'
+    if (filter.substr(0, 7) === "$share/") filter = filter.split("/").slice(2).join("/");
+    var f = filter.split("/");
+    var t = topic.split("/");
+    // Wildcards at the first level don't match topics starting with '$'
+    if (topic.charAt(0) === "$" && (f[0] === "+" || f[0] === "#")) return false;
+    for (var i = 0; i < f.length; i++) {
+        if (f[i] === "#") return true;
+        if (i >= t.length || (f[i] !== "+" && f[i] !== t[i])) return false;
+    }
+    return f.length === t.length;
+}
+
 /** Create escaped hex value from number */
 function createEscapedHex(number) {
     return fromCharCode(parseInt(number.toString(16), 16));
@@ -195,7 +421,9 @@ MQTT.prototype.connect = function (client) {
     var mqo = this;
     var pinger = function () {
         if (mqo.pintr) clearInterval(mqo.pintr);
-        mqo.pintr = setInterval(function () {
+        mqo.pintr = undefined;
+        // A keep_alive of 0 turns pinging off
+        if (mqo.ping_interval > 0) mqo.pintr = setInterval(function () {
             mqo.ping();
         }, mqo.ping_interval * 1000);
     };
@@ -206,51 +434,101 @@ MQTT.prototype.connect = function (client) {
         mqo.ctimo = setTimeout(function () {
             mqo.ctimo = undefined;
             mqo.emit('disconnected');
-            mqo.disconnect();
+            mqo.client = false;
+            client.end();
+            mqo.retry();
         }, mqo.C.CONNECT_TIMEOUT);
+        mqo.partData = '';
+        mqo.aliases = {};      // MQTT 5 topic aliases from the server
+        mqo.sent_aliases = {}; // MQTT 5 topic aliases we have set up
 
-        // Incoming data
+        // Incoming data - packets may be split or combined in any way across 'data' events
         client.on('data', function (data) {
-
-            if (mqo.partData) {
-                data = mqo.partData + data;
-                mqo.partData = '';
-            }
-
-            var type = data.charCodeAt(0) >> 4;
-            var dLen = mqttPacketLengthDec(data.substr(1, 5));
-            var pLen = dLen.decLen + dLen.lenBy + 1;
-
-            if (data.length < pLen) {
-                mqo.partData = data;
-                return;
-            }
-            var pData = data.substr(dLen.lenBy + 1, pLen);
-
-            if (data.length > pLen) {
-                client.emit('data', data.substr(pLen));
+            mqo.partData += data;
+            while (mqo.partData.length > 1) {
+                var dLen = mqttPacketLengthDec(mqo.partData.substr(1, 4));
+                if (dLen === undefined) return; // remaining length not all here yet
+                if (!dLen) {
+                    mqo.partData = '';
+                    mqo.emit('error', "MQTT malformed packet length");
+                    client.end();
+                    return;
+                }
+                var pLen = dLen.decLen + dLen.lenBy + 1;
+                if (mqo.partData.length < pLen) return;
+                data = mqo.partData.substr(0, pLen);
+                mqo.partData = mqo.partData.substr(pLen);
+                onPacket(data.charCodeAt(0) >> 4, data.substr(dLen.lenBy + 1, dLen.decLen), data);
             }
+        });
 
+        // A single complete control packet
+        var onPacket = function (type, pData, data) {
             if (type !== TYPE.PINGRESP) pinger();
 
             if (type === TYPE.PUBLISH) {
-                var parsedData = parsePublish(data.charAt(0) + pData);
+                var parsedData = parsePublish(data.charAt(0) + pData, mqo.v5);
+                var alias = parsedData && parsedData.properties && parsedData.properties.topic_alias;
+                if (alias) {
+                    if (parsedData.topic) mqo.aliases[alias] = parsedData.topic;
+                    else parsedData.topic = mqo.aliases[alias];
+                }
                 if (parsedData !== undefined) {
-                    mqo.emit('publish', parsedData);
-                    mqo.emit('message', parsedData.topic, parsedData.message);
+                    if (mqo.binary) parsedData.message = E.toUint8Array(parsedData.message);
+                    var isNew = true;
+                    if (parsedData.qos === 1) {
+                        client.write(mqttAck(TYPE.PUBACK, parsedData.pid));
+                    }
+                    else if (parsedData.qos === 2) {
+                        // Only deliver once, until the server releases the packet id
+                        isNew = !mqo.inbound[parsedData.pid];
+                        mqo.inbound[parsedData.pid] = true;
+                        client.write(mqttAck(TYPE.PUBREC, parsedData.pid));
+                    }
+                    if (isNew) {
+                        mqo.emit('publish', parsedData);
+                        mqo.emit('message', parsedData.topic, parsedData.message, parsedData);
+                        // Call each matching handler once, even if several of its filters match
+                        var called = [];
+                        for (var filter in mqo.handlers) {
+                            var h = mqo.handlers[filter];
+                            if (called.indexOf(h) < 0 && mqttMatch(filter, parsedData.topic)) {
+                                called.push(h);
+                                h(parsedData.topic, parsedData.message, parsedData);
+                            }
+                        }
+                    }
                 }
             }
             else if (type === TYPE.PUBACK) {
+                mqo.ackInflight(pData, TYPE.PUBACK);
             }
             else if (type === TYPE.PUBREC) {
-                client.write(fromCharCode(TYPE.PUBREL << 4 | 2) + "\x02" + getPid(pData));
+                mqo.ackInflight(pData, TYPE.PUBREC);
             }
             else if (type === TYPE.PUBREL) {
-                client.write(fromCharCode(TYPE.PUBCOMP << 4) + "\x02" + getPid(pData));
+                delete mqo.inbound[getPid(pData)];
+                client.write(mqttAck(TYPE.PUBCOMP, getPid(pData)));
             }
             else if (type === TYPE.PUBCOMP) {
+                mqo.ackInflight(pData, TYPE.PUBCOMP);
             }
             else if (type === TYPE.SUBACK) {
+                var pid = pData.charCodeAt(0) << 8 | pData.charCodeAt(1);
+                var cb = mqo.subacks[pid];
+                delete mqo.subacks[pid];
+                var sprops = mqo.v5 ? parseProps(pData, 2) : {end: 2};
+                var granted = pData.substr(sprops.end).split("").map(function (c) {
+                    return c.charCodeAt(0);
+                });
+                mqo.emit('suback', pid, granted);
+                if (cb) {
+                    var refused = granted.filter(function (q) {
+                        return q >= 0x80;
+                    });
+                    cb(refused.length ? "Subscription refused, " + (mqo.v5 ?
+                        mqttReason(true, refused[0], sprops.props) : "FAILURE") : undefined, granted);
+                }
             }
             else if (type === TYPE.UNSUBACK) {
             }
@@ -263,42 +541,75 @@ MQTT.prototype.connect = function (client) {
             else if (type === TYPE.CONNACK) {
                 if (mqo.ctimo) clearTimeout(mqo.ctimo);
                 mqo.ctimo = undefined;
-                mqo.partData = '';
-                var returnCode = pData.charCodeAt(3);
-                if (RETURN_CODES[returnCode] === 'ACCEPTED') {
+                var returnCode = pData.charCodeAt(1);
+                var cprops = mqo.v5 ? parseProps(pData, 2).props : undefined;
+                if (returnCode === 0) {
                     mqo.connected = true;
+                    if (cprops) {
+                        if (cprops.assigned_client_identifier) mqo.client_id = cprops.assigned_client_identifier;
+                        if (cprops.server_keep_alive !== undefined) {
+                            mqo.keep_alive = cprops.server_keep_alive;
+                            mqo.ping_interval = !mqo.keep_alive ? 0 : mqo.keep_alive < mqo.C.PING_INTERVAL ?
+                                Math.max(mqo.keep_alive - 5, 1) : mqo.C.PING_INTERVAL;
+                        }
+                    }
                     pinger();
-                    mqo.emit('connected');
-                    mqo.emit('connect');
+                    mqo.attempts = 0;
+                    mqo.resubscribe();
+                    // Resend anything that was not acknowledged before we lost the connection
+                    Object.keys(mqo.inflight).forEach(function (pid) {
+                        mqo.sendInflight(pid);
+                    });
+                    var queue = mqo.queue;
+                    mqo.queue = [];
+                    queue.forEach(function (p) {
+                        mqo.publish(p.topic, p.message, p.opts, p.cb);
+                    });
+                    mqo.emit('connected', cprops);
+                    mqo.emit('connect', cprops);
                 }
                 else {
-                    var mqttError = "Connection refused, ";
                     mqo.connected = false;
-                    if (returnCode > 0 && returnCode < 6) {
-                        mqttError += RETURN_CODES[returnCode];
-                    }
-                    else {
-                        mqttError += "unknown return code: " + returnCode + ".";
-                    }
-                    mqo.emit('error', mqttError);
+                    mqo.emit('error', "Connection refused, " + mqttReason(mqo.v5, returnCode, cprops));
                 }
             }
+            else if (type === TYPE.DISCONNECT && mqo.v5) {
+                // MQTT 5 servers say why they are closing the connection
+                var dprops = pData.length > 1 ? parseProps(pData, 1).props : undefined;
+                mqo.emit('error', "Disconnected by server, " + mqttReason(true, pData.charCodeAt(0) || 0, dprops));
+            }
             else {
                 mqo.emit('error', "MQTT unsupported packet type: " + type);
                 console.log("[MQTT]" + data.split("").map(function (c) {
                         return c.charCodeAt(0);
                     }));
             }
-        });
+        };
 
         client.on('end', function () {
             if (mqo.connected) {
                 mqo.connected = false;
                 if (mqo.pintr) clearInterval(mqo.pintr);
                 mqo.pintr = mqo.ctimo = undefined;
+                mqo.stopInflight();
+                if (!mqo.reconnect) {
+                    // Nothing will resend them, so they can't complete
+                    for (var ipid in mqo.inflight) {
+                        mqo.failInflight(ipid, "Disconnected");
+                    }
+                }
+                for (var pid in mqo.subacks) {
+                    mqo.subacks[pid]("Disconnected");
+                }
+                mqo.subacks = {};
                 mqo.emit('disconnected');
                 mqo.emit('close');
             }
+            // Connection lost, rather than closed with disconnect()
+            if (mqo.client === client) {
+                mqo.client = false;
+                mqo.retry();
+            }
         });
 
         mqo.client = client;
@@ -307,27 +618,122 @@ MQTT.prototype.connect = function (client) {
       onConnect();
     } else {
       client = require("net").connect({host: mqo.server, port: mqo.port}, onConnect);
+      client.on('error', function (err) {
+          mqo.emit('error', err);
+          if (!mqo.client) mqo.retry();
+      });
     }
 };
 
-/** Disconnect from server */
+/** Schedule the next connection attempt when a reconnect policy is set.
+ The delay doubles with each attempt up to max_delay, plus random jitter.
+ Reconnecting always uses `require("net")`, even if connect() was given a client */
+MQTT.prototype.retry = function () {
+    var mqo = this;
+    var r = this.reconnect;
+    if (!r || this.rtimo) return;
+    var delay = Math.min((r.delay || this.C.RECONNECT_DELAY) * Math.pow(2, this.attempts),
+        r.max_delay || this.C.RECONNECT_MAX);
+    delay += delay * (r.jitter !== undefined ? r.jitter : this.C.RECONNECT_JITTER) * Math.random();
+    this.attempts++;
+    this.emit('reconnecting', this.attempts, delay);
+    this.rtimo = setTimeout(function () {
+        mqo.rtimo = undefined;
+        mqo.connect();
+    }, delay);
+};
+
+/** Disconnect from server. Stops reconnecting, and unacknowledged QoS 1/2
+ or queued publishes fail */
 MQTT.prototype.disconnect = function () {
+    if (this.rtimo) clearTimeout(this.rtimo);
+    this.rtimo = undefined;
+    this.attempts = 0;
+    this.queue.concat(this.subq).forEach(function (p) {
+        if ('function' === typeof p.cb) p.cb("Disconnected");
+    });
+    this.queue = [];
+    this.subq = [];
     if (!this.client) return;
-    this.client.write(fromCharCode(TYPE.DISCONNECT << 4) + "\x00");
-    this.client.end();
+    var client = this.client;
     this.client = false;
+    client.write(fromCharCode(TYPE.DISCONNECT << 4) + "\x00");
+    client.end();
+    for (var pid in this.inflight) {
+        this.failInflight(pid, "Disconnected");
+    }
 };
 
-/** Publish message using specified topic */
-MQTT.prototype.publish = function (topic, message, qos) {
-    if (!this.client) return;
-    this.client.write(mqttPublish(topic, message.toString(), (qos || this.C.DEF_QOS)));
+/** Publish message using specified topic. The message may be a String or
+ binary data (Uint8Array, ArrayBuffer or Array of bytes).
+ opts is the QoS level or an object `{qos, retain, properties}` - with `retain`
+ set the server keeps the message and delivers it to future subscribers.
+ `properties` (MQTT 5 only) is an object like `{message_expiry_interval: 60,
+ content_type: "application/json", user_properties: {k: "v"}, topic_alias: 1}`. For QoS 1 and 2 the packet is
+ resent (with the DUP flag) until acknowledged, and `callback(err)` is called
+ once the server has acknowledged it or `max_retries` resends have failed.
+ MQTT 5 only allows resending after reconnecting, so there it fails once no
+ acknowledgement has come for `max_retries + 1` times ack_timeout.
+ While offline with a reconnect policy set, up to queue_size publishes are
+ buffered and sent after reconnecting - the oldest are dropped (emitting
+ 'dropped') when the queue is full. Returns the packet id for QoS > 0 */
+MQTT.prototype.publish = function (topic, message, opts, callback) {
+    if ('function' === typeof opts) {
+        callback = opts;
+        opts = undefined;
+    }
+    if (!this.client) {
+        if (!this.reconnect) return;
+        this.queue.push({topic: topic, message: message, opts: opts, cb: callback});
+        if (this.queue.length > this.queue_size) {
+            var p = this.queue.shift();
+            this.emit('dropped', p.topic, p.message);
+            if ('function' === typeof p.cb) p.cb("Dropped from offline queue");
+        }
+        return;
+    }
+    opts = ('number' === typeof opts ? {qos: opts} : opts) || {};
+    var qos = opts.qos || this.C.DEF_QOS;
+    var props = this.v5 ? mqttProps(opts.properties) : undefined;
+    if (qos > 0) {
+        var pid = this.nextPid();
+        this.inflight[pid] = {
+            pkt  : mqttPublish(topic, mqttPayload(message), qos, pid, opts.retain, props),
+            wait : qos === 1 ? TYPE.PUBACK : TYPE.PUBREC,
+            tries: 0,
+            cb   : callback
+        };
+        this.sendInflight(pid);
+        return pid;
+    }
+    var alias = opts.properties && opts.properties.topic_alias;
+    if (alias) {
+        // Once an alias is set up, QoS 0 messages can be sent without the topic
+        if (this.sent_aliases[alias] === topic) topic = '';
+        else this.sent_aliases[alias] = topic;
+    }
+    this.client.write(mqttPublish(topic, mqttPayload(message), qos, undefined, opts.retain, props));
+    if ('function' === typeof callback) {
+        callback();
+    }
 };
 
-/** Subscribe to topic (filter) */
+/** Subscribe to topic (filter). Subscriptions are remembered and sent (again)
+ each time the connection is made, so they can be made before connecting.
+ opts is the QoS level or an object `{qos, handler}`. If given,
+ `handler(topic, message, packet)` is called for each message whose topic
+ matches the filter(s). `callback(err, granted)` is called once the server
+ acknowledges, with the granted QoS for each topic (0x80 = refused).
+ For MQTT 5, opts may also contain `no_local`, `retain_as_published`,
+ `retain_handling` and `properties` */
 MQTT.prototype.subscribe = function (topics, opts, callback) {
-    if (!this.client) return;
     opts = ('number' === typeof opts ? {qos: opts} : opts) || {qos: this.C.DEF_QOS};
+    var qos = opts.qos || 0;
+    var handler = opts.handler;
+    if (this.v5) {
+        // MQTT 5 subscription options share the byte with the QoS
+        qos |= (opts.no_local ? 4 : 0) | (opts.retain_as_published ? 8 : 0) | (opts.retain_handling || 0) << 4;
+    }
 
     var subs = [];
     if ('string' === typeof topics) {
@@ -337,7 +743,7 @@ MQTT.prototype.subscribe = function (topics, opts, callback) {
         topics.forEach(function (topic) {
             subs.push({
                 topic: topic,
-                qos  : opts.qos
+                qos  : qos
             });
         });
     } else {
@@ -352,18 +758,59 @@ MQTT.prototype.subscribe = function (topics, opts, callback) {
     }
 
     subs.forEach(function (sub) {
-        this.client.write(mqttSubscribe(sub.topic, sub.qos));
+        this.subs[sub.topic] = sub.qos;
+        if ('function' === typeof handler) this.handlers[sub.topic] = handler;
     }.bind(this));
+    if (!subs.length) return;
+    if (this.connected) {
+        this.sendSubscribe(subs, opts.properties, callback);
+    } else {
+        // Sent by resubscribe() once connected
+        this.subq.push({subs: subs, properties: opts.properties, cb: callback});
+    }
+};
 
+/** Send a SUBSCRIBE, calling back on its SUBACK */
+MQTT.prototype.sendSubscribe = function (subs, properties, callback) {
+    var pid = this.nextPid();
     if ('function' === typeof callback) {
-        callback();
+        this.subacks[pid] = callback;
     }
+    this.client.write(mqttSubscribe(subs, pid, this.v5 ? mqttProps(properties) : undefined));
 };
 
-/** Unsubscribe to topic (filter) */
+/** Send all remembered subscriptions after connecting - those made while
+ offline with their own callbacks, then the rest together */
+MQTT.prototype.resubscribe = function () {
+    var mqo = this;
+    var sent = {};
+    var queue = this.subq;
+    this.subq = [];
+    queue.forEach(function (q) {
+        // Skip any unsubscribed from since
+        var subs = q.subs.filter(function (sub) {
+            return mqo.subs.hasOwnProperty(sub.topic);
+        });
+        subs.forEach(function (sub) {
+            sent[sub.topic] = true;
+        });
+        if (subs.length) mqo.sendSubscribe(subs, q.properties, q.cb);
+        else if ('function' === typeof q.cb) q.cb(undefined, []);
+    });
+    var rest = Object.keys(this.subs).filter(function (topic) {
+        return !sent[topic];
+    }).map(function (topic) {
+        return {topic: topic, qos: mqo.subs[topic]};
+    });
+    if (rest.length) this.sendSubscribe(rest);
+};
+
+/** Unsubscribe to topic (filter), removing its message handler */
 MQTT.prototype.unsubscribe = function (topic) {
+    delete this.subs[topic];
+    delete this.handlers[topic];
     if (!this.client) return;
-    this.client.write(mqttUnsubscribe(topic));
+    this.client.write(mqttUnsubscribe(topic, this.nextPid(), this.v5 ? mqttProps() : undefined));
 };
 
 /** Send ping request to server */
@@ -374,6 +821,96 @@ MQTT.prototype.ping = function () {
 
 /* Packet specific functions *******************/
 
+/** Generate the next packet id (1..65535) */
+MQTT.prototype.nextPid = function () {
+    this.pakId = this.pakId > 65534 ? 1 : ++this.pakId;
+    return this.pakId;
+};
+
+/** Write an in-flight QoS 1/2 packet (or the PUBREL once PUBREC has arrived)
+ and arm the retransmit timer. Gives up after max_retries resends. For MQTT 5
+ the timer only gives up, as packets are just resent on CONNACK */
+MQTT.prototype.sendInflight = function (pid) {
+    var mqo = this;
+    var f = this.inflight[pid];
+    if (!f) return;
+    if (f.timer) clearTimeout(f.timer);
+    f.timer = undefined;
+    if (f.tries > this.max_retries) {
+        this.failInflight(pid, "No acknowledgement for packet " + pid + " after " + this.max_retries + " retries");
+        return;
+    }
+    if (!this.client) return;
+    if (f.wait === TYPE.PUBCOMP) {
+        this.client.write(mqttAck(TYPE.PUBREL, mqttPid(pid)));
+    } else {
+        if (f.tries > 0 && !(f.pkt.charCodeAt(0) & 0x8)) {
+            // Resent PUBLISH packets must have the DUP flag set
+            f.pkt = fromCharCode(f.pkt.charCodeAt(0) | 0x8) + f.pkt.substr(1);
+        }
+        this.client.write(f.pkt);
+    }
+    f.tries++;
+    f.timer = setTimeout(function () {
+        f.timer = undefined;
+        if (mqo.v5) mqo.failInflight(pid, "No acknowledgement for packet " + pid);
+        else mqo.sendInflight(pid);
+    }, this.v5 ? this.ack_timeout * (this.max_retries + 1) : this.ack_timeout);
+};
+
+/** Handle PUBACK, PUBREC or PUBCOMP for an in-flight packet */
+MQTT.prototype.ackInflight = function (pData, type) {
+    var pid = pData.charCodeAt(0) << 8 | pData.charCodeAt(1);
+    var f = this.inflight[pid];
+    // MQTT 5 acknowledgements may carry a reason code - errors end the flow
+    var reason = pData.length > 2 ? pData.charCodeAt(2) : 0;
+    if (reason >= 0x80) {
+        if (f) this.failInflight(pid, "Publish failed, " +
+            mqttReason(this.v5, reason, pData.length > 3 ? parseProps(pData, 3).props : undefined));
+        return;
+    }
+    if (type === TYPE.PUBREC) {
+        // Must always answer PUBREC, even if we've already given up on it
+        if (f && f.wait === TYPE.PUBREC) {
+            f.wait = TYPE.PUBCOMP;
+            f.tries = 0;
+            this.sendInflight(pid);
+        } else if (!f) {
+            this.client.write(mqttAck(TYPE.PUBREL, getPid(pData)));
+        }
+        return;
+    }
+    if (!f || f.wait !== type) return;
+    if (f.timer) clearTimeout(f.timer);
+    delete this.inflight[pid];
+    this.emit(type === TYPE.PUBACK ? 'puback' : 'pubcomp', pid);
+    if ('function' === typeof f.cb) {
+        f.cb();
+    }
+};
+
+/** Abandon an in-flight packet, calling its callback with an error */
+MQTT.prototype.failInflight = function (pid, err) {
+    var f = this.inflight[pid];
+    if (!f) return;
+    if (f.timer) clearTimeout(f.timer);
+    delete this.inflight[pid];
+    if ('function' === typeof f.cb) {
+        f.cb(err);
+    } else {
+        this.emit('error', err);
+    }
+};
+
+/** Stop retransmit timers (packets are resent after reconnecting) */
+MQTT.prototype.stopInflight = function () {
+    for (var pid in this.inflight) {
+        var f = this.inflight[pid];
+        if (f.timer) clearTimeout(f.timer);
+        f.timer = undefined;
+    }
+};
+
 /** Create connection flags
 
  */
@@ -381,14 +918,19 @@ MQTT.prototype.createFlagsForConnection = function (options) {
     var flags = 0;
     flags |= ( this.username ) ? 0x80 : 0;
     flags |= ( this.username && this.password ) ? 0x40 : 0;
+    if (this.will) {
+        flags |= ( this.will.retain ) ? 0x20 : 0;
+        flags |= ( this.will.qos || 0 ) << 3;
+        flags |= 0x04;
+    }
     flags |= ( options.clean_session ) ? 0x02 : 0;
     return createEscapedHex(flags);
 };
 
 /** CONNECT control packet
- Clean Session and Userid/Password are currently only supported
- connect flag. Wills are not
- currently supported.
+ Supports Clean Session, Will (topic, message, QoS and retain)
+ and Userid/Password connect flags. For MQTT 5 the `properties` and
+ `will.properties` options are included.
  */
 MQTT.prototype.mqttConnect = function (clean) {
     var cmd = TYPE.CONNECT << 4;
@@ -400,6 +942,11 @@ MQTT.prototype.mqttConnect = function (clean) {
 
     /* payload */
     var payload = mqttStr(this.client_id);
+    if (this.will) {
+        if (this.v5) payload += mqttProps(this.will.properties);
+        payload += mqttStr(this.will.topic);
+        payload += mqttStr(mqttPayload(this.will.message || ''));
+    }
     if (this.username) {
         payload += mqttStr(this.username);
         if (this.password) {
@@ -411,7 +958,8 @@ MQTT.prototype.mqttConnect = function (clean) {
         mqttStr(this.protocol_name)/*protocol name*/ +
         this.protocol_level /*protocol level*/ +
         flags +
-        keep_alive,
+        keep_alive +
+        (this.v5 ? mqttProps(this.properties) : ''),
         payload);
 };
 
@@ -1,10 +1,30 @@
-function f(b,a){this.server=b;a=a||{};this.port=a.port||m.DEF_PORT;this.client_id=a.client_id||r();this.keep_alive=a.keep_alive||m.DEF_KEEP_ALIVE;this.clean_session=a.clean_session||!0;this.username=a.username;this.password=a.password;this.connected=this.client=!1;this.pakId=Math.floor(65534*Math.random());this.ping_interval=this.keep_alive<this.C.PING_INTERVAL?this.keep_alive-5:this.C.PING_INTERVAL;this.protocol_name=a.protocol_name||"MQTT";this.protocol_level=g(parseInt((a.protocol_level||
-m.PROTOCOL_LEVEL).toString(16),16))}function h(b){return g(b.length>>8,b.length&255)+b}function t(b){var a=1,k=0,c=0;do{var e=b.charCodeAt(k++),c=c+a*(e&127),a=128*a;if(2097152<a)return 0;if(0===(e&128))break}while(5>k);return{decLen:c,lenBy:k}}function l(b,a,k){b=g(b);var c=a.length+k.length,e="";do{var d=c&127,c=c>>7;0<c&&(d+=128);e+=g(d)}while(0<c);return b+e+a+k}function u(b){if(3<=b.length&&"undefined"!==typeof b){var a=b.charCodeAt(0),d=b.charCodeAt(1)<<8|b.charCodeAt(2);return{topic:b.substr(3,
-d),message:b.substr(3+d,b.length-d),dup:(a&8)>>3,qos:(a&6)>>1,retain:a&1}}}function n(){this.pakId=65534<this.pakId?1:++this.pakId;return g(this.pakId>>8)+g(this.pakId&255)}function p(b){return g(b.charCodeAt(0))+g(b.charCodeAt(1))}function v(b,a,k){var c=d.PUBLISH<<4|k<<1;b=h(b);0<k&&(b+=n());return l(c,b,a)}function w(b,a){return l(d.SUBSCRIBE<<4|2,n(),h(b)+g(a))}function x(b){return l(d.UNSUBSCRIBE<<4|2,n(),h(b))}var m={PROTOCOL_LEVEL:4,DEF_PORT:1883,DEF_KEEP_ALIVE:60},d={CONNECT:1,CONNACK:2,PUBLISH:3,
-PUBACK:4,PUBREC:5,PUBREL:6,PUBCOMP:7,SUBSCRIBE:8,SUBACK:9,UNSUBSCRIBE:10,UNSUBACK:11,PINGREQ:12,PINGRESP:13,DISCONNECT:14},q={0:"ACCEPTED",1:"UNACCEPTABLE_PROTOCOL_VERSION",2:"IDENTIFIER_REJECTED",3:"SERVER_UNAVAILABLE",4:"BAD_USER_NAME_OR_PASSWORD",5:"NOT_AUTHORIZED"};f.prototype.C={DEF_QOS:0,CONNECT_TIMEOUT:5E3,PING_INTERVAL:40};var g=String.fromCharCode,r=function(){function b(){return Math.floor(65536*(1+Math.random())).toString(16).substring(1)}return function(){return b()+b()+b()}}();f.prototype.connect=
-function(b){var a=this,k=function(){a.pintr&&clearInterval(a.pintr);a.pintr=setInterval(function(){a.ping()},1E3*a.ping_interval)},c=function(){b.write(a.mqttConnect(a.client_id));a.ctimo=setTimeout(function(){a.ctimo=void 0;a.emit("disconnected");a.disconnect()},a.C.CONNECT_TIMEOUT);b.on("data",function(e){a.partData&&(e=a.partData+e,a.partData="");var c=e.charCodeAt(0)>>4,f=t(e.substr(1,5)),h=f.decLen+f.lenBy+1;e.length<h?a.partData=e:(f=e.substr(f.lenBy+1,h),e.length>h&&b.emit("data",e.substr(h)),
-c!==d.PINGRESP&&k(),c===d.PUBLISH?(e=u(e.charAt(0)+f),void 0!==e&&(a.emit("publish",e),a.emit("message",e.topic,e.message))):c!==d.PUBACK&&(c===d.PUBREC?b.write(g(d.PUBREL<<4|2)+"\u0002"+p(f)):c===d.PUBREL?b.write(g(d.PUBCOMP<<4)+"\u0002"+p(f)):c!==d.PUBCOMP&&c!==d.SUBACK&&c!==d.UNSUBACK&&(c===d.PINGREQ?b.write(g(d.PINGRESP<<4)+"\x00"):c===d.PINGRESP?a.emit("ping_reply"):c===d.CONNACK?(a.ctimo&&clearTimeout(a.ctimo),a.ctimo=void 0,a.partData="",e=f.charCodeAt(3),"ACCEPTED"===q[e]?(a.connected=!0,
-k(),a.emit("connected"),a.emit("connect")):(c="Connection refused, ",a.connected=!1,c=0<e&&6>e?c+q[e]:c+("unknown return code: "+e+"."),a.emit("error",c))):(a.emit("error","MQTT unsupported packet type: "+c),console.log("[MQTT]"+e.split("").map(function(a){return a.charCodeAt(0)}))))))});b.on("end",function(){a.connected&&(a.connected=!1,a.pintr&&clearInterval(a.pintr),a.pintr=a.ctimo=void 0,a.emit("disconnected"),a.emit("close"))});a.client=b};b?c():b=require("net").connect({host:a.server,port:a.port},
-c)};f.prototype.disconnect=function(){this.client&&(this.client.write(g(d.DISCONNECT<<4)+"\x00"),this.client.end(),this.client=!1)};f.prototype.publish=function(b,a,d){this.client&&this.client.write(v(b,a.toString(),d||this.C.DEF_QOS))};f.prototype.subscribe=function(b,a,d){if(this.client){a=("number"===typeof a?{qos:a}:a)||{qos:this.C.DEF_QOS};var c=[];"string"===typeof b&&(b=[b]);Array.isArray(b)?b.forEach(function(b){c.push({topic:b,qos:a.qos})}):Object.keys(b).forEach(function(a){c.push({topic:a,
-qos:b[a]})});c.forEach(function(a){this.client.write(w(a.topic,a.qos))}.bind(this));"function"===typeof d&&d()}};f.prototype.unsubscribe=function(b){this.client&&this.client.write(x(b))};f.prototype.ping=function(){this.client&&this.client.write(g(d.PINGREQ<<4)+"\x00")};f.prototype.createFlagsForConnection=function(b){var a=0|(this.username?128:0);a|=this.username&&this.password?64:0;a|=b.clean_session?2:0;return g(parseInt(a.toString(16),16))};f.prototype.mqttConnect=function(b){var a=d.CONNECT<<
-4;b=this.createFlagsForConnection({clean_session:b});var f=g(this.keep_alive>>8,this.keep_alive&255),c=h(this.client_id);this.username&&(c+=h(this.username),this.password&&(c+=h(this.password)));return l(a,h(this.protocol_name)+this.protocol_level+b+f,c)};exports.create=function(b,a){return new f(b,a)};exports.connect=function(b){b=new f(b.host,b);b.connect();return b}
\ No newline at end of file
+function m(b,a){this.server=b;a=a||{};this.port=a.port||y.DEF_PORT;this.client_id=a.client_id||G();this.keep_alive=a.keep_alive||y.DEF_KEEP_ALIVE;this.clean_session=a.clean_session||!0;this.username=a.username;this.password=a.password;this.will=a.will;this.connected=this.client=!1;this.pakId=Math.floor(Math.random()*65534);this.ack_timeout=a.ack_timeout||this.C.ACK_TIMEOUT;this.max_retries=a.max_retries!==void 0?a.max_retries:this.C.MAX_RETRIES;this.inflight={};this.inbound={};this.subs=
+{};this.handlers={};this.subacks={};this.subq=[];this.reconnect=a.reconnect===!0?{}:a.reconnect;this.queue_size=a.queue_size!==void 0?a.queue_size:this.C.QUEUE_SIZE;this.queue=[];this.attempts=0;this.ping_interval=this.keep_alive<this.C.PING_INTERVAL?this.keep_alive-5:this.C.PING_INTERVAL;this.protocol_name=a.protocol_name||"MQTT";this.protocol_level=k(parseInt((a.protocol_level||y.PROTOCOL_LEVEL).toString(16),16));this.v5=a.protocol_level===5;this.properties=a.properties;this.binary=a.binary}function n(b){return k(b.length>>
+8,b.length&255)+b}function z(b){var a="";do{var c=b&127;b>>=7;b>0&&(c+=128);a+=k(c)}while(b>0);return a}function A(b){var a=1,c=0,e=0;do{if(c>=b.length)return;var g=b.charCodeAt(c++);e+=a*(g&127);if((g&128)===0)break;a*=128;if(a>2097152)return 0}while(c<5);return{decLen:e,lenBy:c}}function v(b,a,c){return k(b)+z(a.length+c.length)+a+c}function r(b){var a="",c;for(c in b){var e=D[c],g=b[c];if(e!==void 0){var f=w[e][1];if(f==="p")for(var d in g)a+=k(e)+n(d)+n(g[d].toString());else a+=k(e),a=f===1?a+
+k(g):f===2?a+k(g>>8,g&255):f===4?a+k(g>>>24,g>>16&255,g>>8&255,g&255):f==="v"?a+z(g):a+n(g.toString())}}return z(a.length)+a}function t(b,a){var c=A(b.substr(a,4))||{decLen:0,lenBy:0},e=a+c.lenBy+c.decLen,g={};for(a+=c.lenBy;a<e;){c=w[b.charCodeAt(a++)];if(!c)break;var f=c[1];if(f===1)var d=b.charCodeAt(a++);else if(f===2)d=b.charCodeAt(a)<<8|b.charCodeAt(a+1),a+=2;else if(f===4)d=b.charCodeAt(a)*16777216+(b.charCodeAt(a+1)<<16|b.charCodeAt(a+2)<<8|b.charCodeAt(a+3)),a+=4;else if(f==="v")f=A(b.substr(a,
+4))||{decLen:0,lenBy:1},d=f.decLen,a+=f.lenBy;else{var l=b.charCodeAt(a)<<8|b.charCodeAt(a+1);d=b.substr(a+2,l);a+=2+l;if(f==="p"){l=b.charCodeAt(a)<<8|b.charCodeAt(a+1);g.user_properties||(g.user_properties={});g.user_properties[d]=b.substr(a+2,l);a+=2+l;continue}}g[c[0]]=d}return{props:g,end:e}}function x(b,a,c){b=(b?H:I)[a]||"unknown return code: "+a+".";c&&c.reason_string&&(b+=" ("+c.reason_string+")");return b}function J(b,a){if(b.length>=3&&typeof b!=="undefined"){var c=b.charCodeAt(0),e=b.charCodeAt(1)<<
+8|b.charCodeAt(2),g=(c&6)>>1,f=3+e+(g>0?2:0);if(a){var d=t(b,f);f=d.end}return{topic:b.substr(3,e),message:b.substr(f,b.length-f),pid:g>0?b.substr(3+e,2):void 0,properties:d&&d.props,dup:(c&8)>>3,qos:g,retain:c&1}}}function B(b){return"string"===typeof b?b:b instanceof ArrayBuffer||b.buffer instanceof ArrayBuffer||Array.isArray(b)?E.toString(b instanceof ArrayBuffer?new Uint8Array(b):b):b.toString()}function C(b){return k(b.charCodeAt(0))+k(b.charCodeAt(1))}function F(b,a,c,e,g,f){g=h.PUBLISH<<4|
+c<<1|(g?1:0);b=n(b);c>0&&(b+=k(e>>8,e&255));return v(g,b+(f||""),a)}function u(b,a){return k(b<<4|(b===h.PUBREL?2:0))+"\u0002"+a}function K(b,a,c){return v(h.SUBSCRIBE<<4|2,k(a>>8,a&255)+(c||""),b.map(function(e){return n(e.topic)+k(e.qos)}).join(""))}function L(b,a){b.substr(0,7)==="$share/"&&(b=b.split("/").slice(2).join("/"));b=b.split("/");var c=a.split("/");if(a.charAt(0)==="$"&&(b[0]==="+"||b[0]==="#"))return!1;for(a=0;a<b.length;a++){if(b[a]==="#")return!0;if(a>=c.length||b[a]!=="+"&&b[a]!==
+c[a])return!1}return b.length===c.length}var y={PROTOCOL_LEVEL:4,DEF_PORT:1883,DEF_KEEP_ALIVE:60},h={CONNECT:1,CONNACK:2,PUBLISH:3,PUBACK:4,PUBREC:5,PUBREL:6,PUBCOMP:7,SUBSCRIBE:8,SUBACK:9,UNSUBSCRIBE:10,UNSUBACK:11,PINGREQ:12,PINGRESP:13,DISCONNECT:14},w={1:["payload_format_indicator",1],2:["message_expiry_interval",4],3:["content_type","s"],8:["response_topic","s"],9:["correlation_data","s"],11:["subscription_identifier","v"],17:["session_expiry_interval",4],18:["assigned_client_identifier","s"],
+19:["server_keep_alive",2],21:["authentication_method","s"],22:["authentication_data","s"],23:["request_problem_information",1],24:["will_delay_interval",4],25:["request_response_information",1],26:["response_information","s"],28:["server_reference","s"],31:["reason_string","s"],33:["receive_maximum",2],34:["topic_alias_maximum",2],35:["topic_alias",2],36:["maximum_qos",1],37:["retain_available",1],38:["user_properties","p"],39:["maximum_packet_size",4],40:["wildcard_subscription_available",1],41:["subscription_identifier_available",
+1],42:["shared_subscription_available",1]},D={};Object.keys(w).forEach(function(b){D[w[b][0]]=0|b});var I={0:"ACCEPTED",1:"UNACCEPTABLE_PROTOCOL_VERSION",2:"IDENTIFIER_REJECTED",3:"SERVER_UNAVAILABLE",4:"BAD_USER_NAME_OR_PASSWORD",5:"NOT_AUTHORIZED"},H={0:"SUCCESS",1:"GRANTED_QOS_1",2:"GRANTED_QOS_2",4:"DISCONNECT_WITH_WILL_MESSAGE",16:"NO_MATCHING_SUBSCRIBERS",17:"NO_SUBSCRIPTION_EXISTED",24:"CONTINUE_AUTHENTICATION",25:"RE_AUTHENTICATE",128:"UNSPECIFIED_ERROR",129:"MALFORMED_PACKET",130:"PROTOCOL_ERROR",
+131:"IMPLEMENTATION_SPECIFIC_ERROR",132:"UNSUPPORTED_PROTOCOL_VERSION",133:"CLIENT_IDENTIFIER_NOT_VALID",134:"BAD_USER_NAME_OR_PASSWORD",135:"NOT_AUTHORIZED",136:"SERVER_UNAVAILABLE",137:"SERVER_BUSY",138:"BANNED",139:"SERVER_SHUTTING_DOWN",140:"BAD_AUTHENTICATION_METHOD",141:"KEEP_ALIVE_TIMEOUT",142:"SESSION_TAKEN_OVER",143:"TOPIC_FILTER_INVALID",144:"TOPIC_NAME_INVALID",145:"PACKET_IDENTIFIER_IN_USE",146:"PACKET_IDENTIFIER_NOT_FOUND",147:"RECEIVE_MAXIMUM_EXCEEDED",148:"TOPIC_ALIAS_INVALID",149:"PACKET_TOO_LARGE",
+150:"MESSAGE_RATE_TOO_HIGH",151:"QUOTA_EXCEEDED",152:"ADMINISTRATIVE_ACTION",153:"PAYLOAD_FORMAT_INVALID",154:"RETAIN_NOT_SUPPORTED",155:"QOS_NOT_SUPPORTED",156:"USE_ANOTHER_SERVER",157:"SERVER_MOVED",158:"SHARED_SUBSCRIPTIONS_NOT_SUPPORTED",159:"CONNECTION_RATE_EXCEEDED",160:"MAXIMUM_CONNECT_TIME",161:"SUBSCRIPTION_IDENTIFIERS_NOT_SUPPORTED",162:"WILDCARD_SUBSCRIPTIONS_NOT_SUPPORTED"};m.prototype.C={DEF_QOS:0,CONNECT_TIMEOUT:5E3,ACK_TIMEOUT:1E4,MAX_RETRIES:3,RECONNECT_DELAY:1E3,RECONNECT_MAX:6E4,
+RECONNECT_JITTER:.2,QUEUE_SIZE:10,PING_INTERVAL:40};var k=String.fromCharCode,G=function(){function b(){return Math.floor((1+Math.random())*65536).toString(16).substring(1)}return function(){return b()+b()+b()}}();m.prototype.connect=function(b){var a=this,c=function(){a.pintr&&clearInterval(a.pintr);a.pintr=void 0;a.ping_interval>0&&(a.pintr=setInterval(function(){a.ping()},a.ping_interval*1E3))},e=function(){b.write(a.mqttConnect(a.client_id));a.ctimo=setTimeout(function(){a.ctimo=void 0;a.emit("disconnected");
+a.client=!1;b.end();a.retry()},a.C.CONNECT_TIMEOUT);a.partData="";a.aliases={};a.sent_aliases={};b.on("data",function(f){for(a.partData+=f;a.partData.length>1;){var d=A(a.partData.substr(1,4));if(d===void 0)break;if(!d){a.partData="";a.emit("error","MQTT malformed packet length");b.end();break}var l=d.decLen+d.lenBy+1;if(a.partData.length<l)break;f=a.partData.substr(0,l);a.partData=a.partData.substr(l);g(f.charCodeAt(0)>>4,f.substr(d.lenBy+1,d.decLen),f)}});var g=function(f,d,l){f!==h.PINGRESP&&c();
+if(f===h.PUBLISH){if(f=(d=J(l.charAt(0)+d,a.v5))&&d.properties&&d.properties.topic_alias)d.topic?a.aliases[f]=d.topic:d.topic=a.aliases[f];if(d!==void 0&&(a.binary&&(d.message=E.toUint8Array(d.message)),f=!0,d.qos===1?b.write(u(h.PUBACK,d.pid)):d.qos===2&&(f=!a.inbound[d.pid],a.inbound[d.pid]=!0,b.write(u(h.PUBREC,d.pid))),f)){a.emit("publish",d);a.emit("message",d.topic,d.message,d);f=[];for(var p in a.handlers)l=a.handlers[p],f.indexOf(l)<0&&L(p,d.topic)&&(f.push(l),l(d.topic,d.message,d))}}else f===
+h.PUBACK?a.ackInflight(d,h.PUBACK):f===h.PUBREC?a.ackInflight(d,h.PUBREC):f===h.PUBREL?(delete a.inbound[C(d)],b.write(u(h.PUBCOMP,C(d)))):f===h.PUBCOMP?a.ackInflight(d,h.PUBCOMP):f===h.SUBACK?(l=d.charCodeAt(0)<<8|d.charCodeAt(1),p=a.subacks[l],delete a.subacks[l],f=a.v5?t(d,2):{end:2},d=d.substr(f.end).split("").map(function(q){return q.charCodeAt(0)}),a.emit("suback",l,d),p&&(l=d.filter(function(q){return q>=128}),p(l.length?"Subscription refused, "+(a.v5?x(!0,l[0],f.props):"FAILURE"):void 0,d))):
+f!==h.UNSUBACK&&(f===h.PINGREQ?b.write(k(h.PINGRESP<<4)+"\x00"):f===h.PINGRESP?a.emit("ping_reply"):f===h.CONNACK?(a.ctimo&&clearTimeout(a.ctimo),a.ctimo=void 0,p=d.charCodeAt(1),d=a.v5?t(d,2).props:void 0,p===0?(a.connected=!0,d&&(d.assigned_client_identifier&&(a.client_id=d.assigned_client_identifier),d.server_keep_alive!==void 0&&(a.keep_alive=d.server_keep_alive,a.ping_interval=a.keep_alive?a.keep_alive<a.C.PING_INTERVAL?Math.max(a.keep_alive-5,1):a.C.PING_INTERVAL:0)),c(),a.attempts=0,a.resubscribe(),
+Object.keys(a.inflight).forEach(function(q){a.sendInflight(q)}),p=a.queue,a.queue=[],p.forEach(function(q){a.publish(q.topic,q.message,q.opts,q.cb)}),a.emit("connected",d),a.emit("connect",d)):(a.connected=!1,a.emit("error","Connection refused, "+x(a.v5,p,d)))):f===h.DISCONNECT&&a.v5?(p=d.length>1?t(d,1).props:void 0,a.emit("error","Disconnected by server, "+x(!0,d.charCodeAt(0)||0,p))):(a.emit("error","MQTT unsupported packet type: "+f),console.log("[MQTT]"+l.split("").map(function(q){return q.charCodeAt(0)}))))};
+b.on("end",function(){if(a.connected){a.connected=!1;a.pintr&&clearInterval(a.pintr);a.pintr=a.ctimo=void 0;a.stopInflight();if(!a.reconnect)for(var f in a.inflight)a.failInflight(f,"Disconnected");for(var d in a.subacks)a.subacks[d]("Disconnected");a.subacks={};a.emit("disconnected");a.emit("close")}a.client===b&&(a.client=!1,a.retry())});a.client=b};b?e():(b=require("net").connect({host:a.server,port:a.port},e),b.on("error",function(g){a.emit("error",g);a.client||a.retry()}))};m.prototype.retry=
+function(){var b=this,a=this.reconnect;if(a&&!this.rtimo){var c=Math.min((a.delay||this.C.RECONNECT_DELAY)*Math.pow(2,this.attempts),a.max_delay||this.C.RECONNECT_MAX);c+=c*(a.jitter!==void 0?a.jitter:this.C.RECONNECT_JITTER)*Math.random();this.attempts++;this.emit("reconnecting",this.attempts,c);this.rtimo=setTimeout(function(){b.rtimo=void 0;b.connect()},c)}};m.prototype.disconnect=function(){this.rtimo&&clearTimeout(this.rtimo);this.rtimo=void 0;this.attempts=0;this.queue.concat(this.subq).forEach(function(c){"function"===
+typeof c.cb&&c.cb("Disconnected")});this.queue=[];this.subq=[];if(this.client){var b=this.client;this.client=!1;b.write(k(h.DISCONNECT<<4)+"\x00");b.end();for(var a in this.inflight)this.failInflight(a,"Disconnected")}};m.prototype.publish=function(b,a,c,e){"function"===typeof c&&(e=c,c=void 0);if(this.client){c=("number"===typeof c?{qos:c}:c)||{};var g=c.qos||this.C.DEF_QOS,f=this.v5?r(c.properties):void 0;if(g>0){var d=this.nextPid();this.inflight[d]={pkt:F(b,B(a),g,d,c.retain,f),wait:g===1?h.PUBACK:
+h.PUBREC,tries:0,cb:e};this.sendInflight(d);return d}(d=c.properties&&c.properties.topic_alias)&&(this.sent_aliases[d]===b?b="":this.sent_aliases[d]=b);this.client.write(F(b,B(a),g,void 0,c.retain,f));"function"===typeof e&&e()}else this.reconnect&&(this.queue.push({topic:b,message:a,opts:c,cb:e}),this.queue.length>this.queue_size&&(b=this.queue.shift(),this.emit("dropped",b.topic,b.message),"function"===typeof b.cb&&b.cb("Dropped from offline queue")))};m.prototype.subscribe=function(b,a,c){a=("number"===
+typeof a?{qos:a}:a)||{qos:this.C.DEF_QOS};var e=a.qos||0,g=a.handler;this.v5&&(e|=(a.no_local?4:0)|(a.retain_as_published?8:0)|(a.retain_handling||0)<<4);var f=[];"string"===typeof b&&(b=[b]);Array.isArray(b)?b.forEach(function(d){f.push({topic:d,qos:e})}):Object.keys(b).forEach(function(d){f.push({topic:d,qos:b[d]})});f.forEach(function(d){this.subs[d.topic]=d.qos;"function"===typeof g&&(this.handlers[d.topic]=g)}.bind(this));f.length&&(this.connected?this.sendSubscribe(f,a.properties,c):this.subq.push({subs:f,
+properties:a.properties,cb:c}))};m.prototype.sendSubscribe=function(b,a,c){var e=this.nextPid();"function"===typeof c&&(this.subacks[e]=c);this.client.write(K(b,e,this.v5?r(a):void 0))};m.prototype.resubscribe=function(){var b=this,a={},c=this.subq;this.subq=[];c.forEach(function(e){var g=e.subs.filter(function(f){return b.subs.hasOwnProperty(f.topic)});g.forEach(function(f){a[f.topic]=!0});g.length?b.sendSubscribe(g,e.properties,e.cb):"function"===typeof e.cb&&e.cb(void 0,[])});c=Object.keys(this.subs).filter(function(e){return!a[e]}).map(function(e){return{topic:e,
+qos:b.subs[e]}});c.length&&this.sendSubscribe(c)};m.prototype.unsubscribe=function(b){delete this.subs[b];delete this.handlers[b];if(this.client){var a=this.client,c=a.write,e=this.nextPid(),g=this.v5?r():void 0;b=v(h.UNSUBSCRIBE<<4|2,k(e>>8,e&255)+(g||""),n(b));c.call(a,b)}};m.prototype.ping=function(){this.client&&this.client.write(k(h.PINGREQ<<4)+"\x00")};m.prototype.nextPid=function(){return this.pakId=this.pakId>65534?1:++this.pakId};m.prototype.sendInflight=function(b){var a=this,c=this.inflight[b];
+c&&(c.timer&&clearTimeout(c.timer),c.timer=void 0,c.tries>this.max_retries?this.failInflight(b,"No acknowledgement for packet "+b+" after "+this.max_retries+" retries"):this.client&&(c.wait===h.PUBCOMP?this.client.write(u(h.PUBREL,k(b>>8,b&255))):(c.tries>0&&!(c.pkt.charCodeAt(0)&8)&&(c.pkt=k(c.pkt.charCodeAt(0)|8)+c.pkt.substr(1)),this.client.write(c.pkt)),c.tries++,c.timer=setTimeout(function(){c.timer=void 0;a.v5?a.failInflight(b,"No acknowledgement for packet "+b):a.sendInflight(b)},this.v5?this.ack_timeout*
+(this.max_retries+1):this.ack_timeout)))};m.prototype.ackInflight=function(b,a){var c=b.charCodeAt(0)<<8|b.charCodeAt(1),e=this.inflight[c],g=b.length>2?b.charCodeAt(2):0;g>=128?e&&this.failInflight(c,"Publish failed, "+x(this.v5,g,b.length>3?t(b,3).props:void 0)):a===h.PUBREC?e&&e.wait===h.PUBREC?(e.wait=h.PUBCOMP,e.tries=0,this.sendInflight(c)):e||this.client.write(u(h.PUBREL,C(b))):e&&e.wait===a&&(e.timer&&clearTimeout(e.timer),delete this.inflight[c],this.emit(a===h.PUBACK?"puback":"pubcomp",
+c),"function"===typeof e.cb&&e.cb())};m.prototype.failInflight=function(b,a){var c=this.inflight[b];c&&(c.timer&&clearTimeout(c.timer),delete this.inflight[b],"function"===typeof c.cb?c.cb(a):this.emit("error",a))};m.prototype.stopInflight=function(){for(var b in this.inflight){var a=this.inflight[b];a.timer&&clearTimeout(a.timer);a.timer=void 0}};m.prototype.createFlagsForConnection=function(b){var a=0|(this.username?128:0);a|=this.username&&this.password?64:0;this.will&&(a|=this.will.retain?32:
+0,a|=(this.will.qos||0)<<3,a|=4);a|=b.clean_session?2:0;return k(parseInt(a.toString(16),16))};m.prototype.mqttConnect=function(b){var a=h.CONNECT<<4;b=this.createFlagsForConnection({clean_session:b});var c=k(this.keep_alive>>8,this.keep_alive&255),e=n(this.client_id);this.will&&(this.v5&&(e+=r(this.will.properties)),e+=n(this.will.topic),e+=n(B(this.will.message||"")));this.username&&(e+=n(this.username),this.password&&(e+=n(this.password)));return v(a,n(this.protocol_name)+this.protocol_level+b+
+c+(this.v5?r(this.properties):""),e)};exports.create=function(b,a){return new m(b,a)};exports.connect=function(b){b=new m(b.host,b);b.connect();return b}
\ No newline at end of file
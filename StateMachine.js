@@ -20,7 +20,7 @@ for ...
    exit: Called when leaving a state to perform any cleanup actions.
 
 Each callback is optional, but sensibly each state must define at least one.
-A state with no enter or signal callback represents a dead state that can be 
+A state with no enter or signal callback (or table) represents a dead state that can be 
 entered, but not exited normally. Callbacks not defined are not called when 
 changing states. The enter and exit callback signitures have no arguments 
 and the signal callback recieves the event argument passed to the state 
@@ -75,6 +75,72 @@ Thus any state may change to any other as desired, immediately or after a
 specified delay. A new state change request first cancels any pending 
 state change.
 
+The returned object may also contain a guard function, which is called 
+with the event (and this = state machine object). If it returns false the 
+change doesn't happen, just as if the signal method had returned undefined.
+  return {state:'Two', guard:function(e){ return this.states.Two.data.ok; }};
+
+Hierarchical States
+A state may be a substate of another by naming its parent, and a parent 
+state may name the initial substate to enter when it is changed to ...
+  sm.define({name:'Running', initial:'Slow', signal:signalRunning});
+  sm.define({name:'Slow', parent:'Running', signal:signalSlow});
+  sm.define({name:'Fast', parent:'Running', signal:signalFast});
+this.state is always the innermost state. Events are passed to its signal 
+method first, and then to each parent in turn until one returns a state to 
+change to. When changing state, the states that are left are exited from 
+the inside out and the new ones are entered from the outside in, so a 
+parent isn't exited or entered when changing between its substates. If 
+more than one enter callback returns a state, the innermost one is used.
+
+A state defined with history:true is a shallow history pseudo-state. 
+Changing to it changes to whichever substate of its parent was last active 
+(or the parent's initial substate if it hasn't been active yet) ...
+  sm.define({name:'Resume', parent:'Running', history:true});
+  return {state:'Resume'};
+
+Transition Tables
+Instead of (or as well as) a signal callback, a state may define a table 
+of the states to change to for each event, as in ...
+  sm.define({name:'One', on:{BUTTON:'Two', 
+    TIMEOUT:{target:'Idle', after:5000},
+    LONGPRESS:{target:'Three', wait:500, guard:function(e){ ... }}}});
+Events are looked up in the table by name, or by their type field if they 
+are objects (i.e. sm.signal({type:'BUTTON', pin:B1})). An entry may be just 
+the state name, or an object with a target state and the same wait and 
+guard options as above. An entry with an after time is also a timeout, which 
+changes state after that many ms unless the state has been left by then. 
+If the signal callback returns a state, the table isn't used.
+
+Events
+The state machine emits 'exit:<name>' and 'enter:<name>' as each state is 
+exited and entered (after the callbacks), and 'transition' with the new 
+state, the last state and the event once a state change is complete ...
+  sm.on('transition', function(state, last, event) { ... });
+  sm.on('enter:Idle', function() { ... });
+It also emits 'pending' with the state, wait and event when a delayed state 
+change is requested.
+
+Saving and Restoring
+sm.snapshot() returns an object (which can be saved with JSON.stringify) 
+holding the current and last states, the history, and the time left on any 
+pending state change and timeouts. sm.restore(snapshot) puts the state 
+machine back in that state - without calling any enter callbacks - and 
+restarts the pending state change and timeouts with the time they had left.
+
+To keep the state across a reset, sm.persist(eeprom, key) saves a snapshot 
+in a FlashEEPROM (see its kv function) under the given key (default 'FSM') 
+on every transition and pending state change. If a snapshot had already 
+been saved, it is restored and persist returns true, so ...
+  var eeprom = new (require("FlashEEPROM"))(0, undefined, {pages:2});
+  // define states...
+  if (!sm.persist(eeprom)) sm.init('One');
+
+Transition Log
+Each state change is added to this.log as {state, event, time}, where state 
+is the new state, event is the event that caused it and time is from 
+getTime(). Only the last this.logSize (default 10) changes are kept.
+
 
 Example...
 // define state callbacks...
@@ -102,22 +168,94 @@ sm.signal();            // Signal state One to change to state Two immediately
 */
 
 
+// list of state names from the outermost parent down to the named state
+function path(sm,name) {
+  var p = [];
+  while (name in sm.states) {
+    p.unshift(name);
+    name = sm.states[name].parent;
+    };
+  return p;
+  };
+
+// the action (as returned by a signal callback) in a state's table for evt
+// (every object has an 'on' function, so check it's really a table)
+function lookup(s,evt) {
+  if (typeof s.on!='object') return;
+  var a = s.on[(evt && typeof evt=='object') ? evt.type : evt];
+  if (typeof a=='string') return {state:a};
+  if (a) return {state:a.target, wait:a.wait, guard:a.guard};
+  };
+
+// start the timeouts (entries with an after time) in a state's table,
+// or only those in left (event:ms) for the time they had left
+function startTimers(sm,name,left) {
+  var on = sm.states[name].on, t = {};
+  if (typeof on!='object') return;
+  function fire(e) {
+    delete t[e];
+    var a = on[e];
+    if (!a.guard || a.guard.call(sm,e)) chgTo.call(sm,a.target,0,e);
+    };
+  for (var e in on) {
+    var ms = left ? left[e] : on[e] && on[e].after;
+    if (ms!==undefined) t[e] = {id:setTimeout(fire,ms,e), at:getTime()+ms/1000};
+    };
+  sm.timers[name] = t;
+  };
+
+// cancel the timeouts of a state that is being left
+function stopTimers(sm,name) {
+  var t = sm.timers[name];
+  for (var e in t) clearTimeout(t[e].id);
+  delete sm.timers[name];
+  };
+
 // change to the specified state, immediately or wait a time before changing
 // any pending state change is first cancelled
-function chgTo(to,wait) {
+function chgTo(to,wait,evt) {
   var sm = this;
   if (sm.pending!==undefined) sm.pending = clearTimeout(sm.pending);
-  if (wait) return sm.pending = setTimeout(function(){
-    sm.pending=undefined;chgTo.call(sm,to);},wait);
-  if (to!=sm.state && to in sm.states) {
-    var s = sm.states[sm.state];
-    if (s && 'exit' in s) s.exit.call(sm);
+  sm.delayed = undefined;
+  if (wait) {
+    sm.delayed = {state:to, event:evt, at:getTime()+wait/1000};
+    sm.emit('pending',to,wait,evt);
+    return sm.pending = setTimeout(function(){
+      sm.pending=undefined;chgTo.call(sm,to,0,evt);},wait);
+    };
+  var t = sm.states[to];
+  if (t && t.history) {
+    // shallow history: the last active substate of the parent
+    to = sm.history[t.parent] || sm.states[t.parent].initial || t.parent;
+    t = sm.states[to];
+    };
+  if (to!=sm.state && t) {
+    var from = path(sm,sm.state), dest = path(sm,to), i = 0, k, s, a, auto;
+    // states that are in both paths are neither exited nor entered
+    while (i<from.length && i<dest.length && from[i]==dest[i]) i++;
+    for (k=from.length-1;k>=i;k--) {
+      s = sm.states[from[k]];
+      if ('exit' in s) s.exit.call(sm);
+      stopTimers(sm,from[k]);
+      if (s.parent!==undefined) sm.history[s.parent] = from[k];
+      sm.emit('exit:'+from[k]);
+      };
     sm.last.state = sm.state;
-    sm.state = to;
-    if ('enter' in sm.states[to]) {
-      var auto = sm.states[to].enter.call(sm);
-      if (auto) chgTo.call(sm,auto.state,auto.wait||0);   
+    // enter the new states, and then the initial substates
+    while (dest[dest.length-1] in sm.states && sm.states[dest[dest.length-1]].initial)
+      dest.push(sm.states[dest[dest.length-1]].initial);
+    for (k=i;k<dest.length;k++) {
+      sm.state = dest[k];
+      s = sm.states[dest[k]];
+      if ('enter' in s && (a = s.enter.call(sm))) auto = a;
+      startTimers(sm,dest[k]);
+      sm.emit('enter:'+dest[k]);
       };
+    sm.state = dest[dest.length-1];
+    sm.log.push({state:sm.state, event:evt, time:getTime()});
+    while (sm.log.length>sm.logSize) sm.log.shift();
+    sm.emit('transition',sm.state,sm.last.state,evt);
+    if (auto) chgTo.call(sm,auto.state,auto.wait||0);   
     };
   };
 
@@ -132,14 +270,62 @@ function define(stObj) {
   return;
   };
 
-// signal the current state passing it the given event (evt)
+// signal the current state passing it the given event (evt), and then
+// its parents until one returns a state to change to
 function signal(evt) {
-  var s = this.states[this.state];
-  if (s && 'signal' in s) {
-    sm.last.event=evt;
-    var action = s.signal.call(this,evt);
-    if (action) chgTo.call(this,action.state,action.wait||0);
-    }
+  var name = this.state;
+  this.last.event = evt;
+  while (name in this.states) {
+    var s = this.states[name];
+    var action = ('signal' in s && s.signal.call(this,evt)) || lookup(s,evt);
+    if (action && (!action.guard || action.guard.call(this,evt)))
+      return chgTo.call(this,action.state,action.wait||0,evt);
+    name = s.parent;
+    };
+  };
+
+// return the state of the machine as an object that restore accepts
+function snapshot() {
+  var sm = this, now = getTime(), timers = {}, h = {}, n, e;
+  // ms left until time t (from getTime)
+  function left(t) { return Math.max(Math.round((t-now)*1000),0); };
+  for (n in sm.timers) {
+    timers[n] = {};
+    for (e in sm.timers[n]) timers[n][e] = left(sm.timers[n][e].at);
+    };
+  for (n in sm.history) h[n] = sm.history[n];
+  var s = {state:sm.state, last:{state:sm.last.state, event:sm.last.event},
+    history:h, timers:timers};
+  if (sm.delayed) s.pending = {state:sm.delayed.state, event:sm.delayed.event,
+    wait:left(sm.delayed.at)};
+  return s;
+  };
+
+// put the machine back in the state from snapshot, without calling callbacks
+function restore(s) {
+  var sm = this, n;
+  if (sm.pending!==undefined) sm.pending = clearTimeout(sm.pending);
+  sm.delayed = undefined;
+  for (n in sm.timers) stopTimers(sm,n);
+  sm.state = s.state;
+  sm.last = {state:s.last.state, event:s.last.event};
+  sm.history = {};
+  for (n in s.history) sm.history[n] = s.history[n];
+  path(sm,sm.state).forEach(function(name) {
+    startTimers(sm,name,s.timers && s.timers[name]);
+    });
+  if (s.pending) chgTo.call(sm,s.pending.state,s.pending.wait,s.pending.event);
+  };
+
+// save a snapshot to a FlashEEPROM on every change, restoring any saved one
+function persist(eeprom,key) {
+  var sm = this, kv = eeprom.kv(), s;
+  key = key||'FSM';
+  function save() { kv.write(key,sm.snapshot()); };
+  if ((s = kv.read(key))) sm.restore(s);
+  sm.on('transition',save);
+  sm.on('pending',save);
+  return s!==undefined;
   };
 
 // state machine constructor...
@@ -148,10 +334,18 @@ exports.FSM = function FSM() {
     last: {state:'',event:null},
     state: '',
     pending: undefined,
+    delayed: undefined, // pending state change, {state, event, at}
     states: {},
+    history: {},  // last active substate of each parent state
+    timers: {},   // timeouts of the current states, see startTimers
+    log: [],      // recent state changes, {state, event, time}
+    logSize: 10,
     define: define,
     init: function(s){chgTo.call(sm,s);},
-    signal: signal
+    signal: signal,
+    snapshot: snapshot,
+    restore: restore,
+    persist: persist
     };
   return sm;
   };
@@ -1,2 +1,7 @@
-function e(a,c){var b=this;void 0!==b.pending&&(b.pending=clearTimeout(b.pending));if(c)return b.pending=setTimeout(function(){b.pending=void 0;e.call(b,a)},c);if(a!=b.state&&a in b.states){var d=b.states[b.state];d&&"exit"in d&&d.exit.call(b);b.last.state=b.state;b.state=a;"enter"in b.states[a]&&(d=b.states[a].enter.call(b))&&e.call(b,d.state,d.wait||0)}}function f(a){if("string"==typeof a)return delete this.states[a];if("name"in a)return this.states[a.name]=a}function g(a){var c=this.states[this.state];
-c&&"signal"in c&&(sm.last.event=a,(a=c.signal.call(this,a))&&e.call(this,a.state,a.wait||0))}exports.FSM=function(){var a={last:{state:"",event:null},state:"",pending:void 0,states:{},define:f,init:function(c){e.call(a,c)},signal:g};return a}
\ No newline at end of file
+function n(c,a){for(var d=[];a in c.states;)d.unshift(a),a=c.states[a].parent;return d}function p(c,a,d){function b(l){delete g[l];var k=e[l];k.guard&&!k.guard.call(c,l)||m.call(c,k.target,0,l)}var e=c.states[a].on,g={};if(typeof e=="object"){for(var f in e){var h=d?d[f]:e[f]&&e[f].after;h!==void 0&&(g[f]={id:setTimeout(b,h,f),at:getTime()+h/1E3})}c.timers[a]=g}}function q(c,a){var d=c.timers[a],b;for(b in d)clearTimeout(d[b].id);delete c.timers[a]}function m(c,a,d){var b=this;b.pending!==
+void 0&&(b.pending=clearTimeout(b.pending));b.delayed=void 0;if(a)return b.delayed={state:c,event:d,at:getTime()+a/1E3},b.emit("pending",c,a,d),b.pending=setTimeout(function(){b.pending=void 0;m.call(b,c,0,d)},a);(a=b.states[c])&&a.history&&(c=b.history[a.parent]||b.states[a.parent].initial||a.parent,a=b.states[c]);if(c!=b.state&&a){a=n(b,b.state);for(var e=n(b,c),g=0,f,h,l,k;g<a.length&&g<e.length&&a[g]==e[g];)g++;for(f=a.length-1;f>=g;f--)h=b.states[a[f]],"exit"in h&&h.exit.call(b),q(b,a[f]),h.parent!==
+void 0&&(b.history[h.parent]=a[f]),b.emit("exit:"+a[f]);for(b.last.state=b.state;e[e.length-1]in b.states&&b.states[e[e.length-1]].initial;)e.push(b.states[e[e.length-1]].initial);for(f=g;f<e.length;f++)b.state=e[f],h=b.states[e[f]],"enter"in h&&(l=h.enter.call(b))&&(k=l),p(b,e[f]),b.emit("enter:"+e[f]);b.state=e[e.length-1];for(b.log.push({state:b.state,event:d,time:getTime()});b.log.length>b.logSize;)b.log.shift();b.emit("transition",b.state,b.last.state,d);k&&m.call(b,k.state,k.wait||0)}}function r(c){if(typeof c==
+"string")return delete this.states[c];if("name"in c)return this.states[c.name]=c}function t(c){var a=this.state;for(this.last.event=c;a in this.states;){a=this.states[a];var d;(d="signal"in a&&a.signal.call(this,c))||(typeof a.on!="object"?d=void 0:(d=a.on[c&&typeof c=="object"?c.type:c],d=typeof d=="string"?{state:d}:d?{state:d.target,wait:d.wait,guard:d.guard}:void 0));if(d&&(!d.guard||d.guard.call(this,c)))return m.call(this,d.state,d.wait||0,c);a=a.parent}}function u(){var c=getTime(),a={},d=
+{},b,e;for(b in this.timers)for(e in a[b]={},this.timers[b])a[b][e]=Math.max(Math.round((this.timers[b][e].at-c)*1E3),0);for(b in this.history)d[b]=this.history[b];a={state:this.state,last:{state:this.last.state,event:this.last.event},history:d,timers:a};this.delayed&&(a.pending={state:this.delayed.state,event:this.delayed.event,wait:Math.max(Math.round((this.delayed.at-c)*1E3),0)});return a}function v(c){var a=this,d;a.pending!==void 0&&(a.pending=clearTimeout(a.pending));a.delayed=void 0;for(d in a.timers)q(a,
+d);a.state=c.state;a.last={state:c.last.state,event:c.last.event};a.history={};for(d in c.history)a.history[d]=c.history[d];n(a,a.state).forEach(function(b){p(a,b,c.timers&&c.timers[b])});c.pending&&m.call(a,c.pending.state,c.pending.wait,c.pending.event)}function w(c,a){function d(){e.write(a,b.snapshot())}var b=this,e=c.kv(),g;a=a||"FSM";(g=e.read(a))&&b.restore(g);b.on("transition",d);b.on("pending",d);return g!==void 0}exports.FSM=function(){var c={last:{state:"",event:null},state:"",pending:void 0,
+delayed:void 0,states:{},history:{},timers:{},log:[],logSize:10,define:r,init:function(a){m.call(c,a)},signal:t,snapshot:u,restore:v,persist:w};return c}
\ No newline at end of file
@@ -17,6 +17,18 @@
 		default_type: 'text/html',
 		default_index: 'index.html',
 		file_system: 'some/path',
+		upload_dir: 'uploads', // (optional) Where uploaded files go. Must not be inside file_system (if set)
+		body_limit: 2048, // Default. Max bytes of request body (or multipart fields) to collect
+		cache_control: { // (optional) Cache-Control header for static files, by extension
+			'css': 'max-age=86400',
+			'*': 'no-cache' // Any other extension
+		},
+		auth: { // (optional) Require a login for some or all paths
+			type: 'basic', // Default. Or 'digest'
+			realm: 'Espruino', // Default
+			users: {'admin': 'secret'},
+			paths: ['/config', '/api'] // (optional) Protected paths and all below them. Default: everything
+		},
 		memory: {
 			'info.html': { 
 				'content': '<html>Hello World!</html>',
@@ -40,7 +52,46 @@
  webs.on('error', function(error, WebServer){
  	console.log('WebServer Error', error);
  });
+ webs.on('unauthorized', function(request, response, parsedUrl, WebServer){
+ 	console.log('WebServer login failed', parsedUrl.pathname);
+ });
 ```
+
+ Memory files are served at '/' + their name ('info.html' at /info.html), so a name
+ like 'config/wifi.html' (at /config/wifi.html) falls under the auth paths like any
+ other path. A name ending in '/' + index is also served at the directory itself.
+
+ Routes are checked before the static memory/file_system lookup. A route handler
+ is called like a Server Side Script: fn(request, response, parsedUrl, WebServer),
+ with any ':name' path parameters in request.params. It either returns an output
+ object ({content, type, header}) or writes the response itself and returns nothing.
+
+ ```javascript
+ webs.use(function(request, response, next){ // Middleware, called in order for every request
+ 	console.log(request.method, request.url);
+ 	next(); // or write the response and don't call next()
+ });
+ webs.get('/api/sensor/:id', function(request, response, parsedUrl, WebServer){
+ 	return {content: JSON.stringify({id: request.params.id, value: 42}), type: 'application/json'};
+ });
+ webs.post('/api/led', function(request, response){
+ 	response.writeHead(204, {});
+ 	response.end();
+ });
+```
+
+ Request bodies are collected before the route or file is handled: 'application/json'
+ and 'application/x-www-form-urlencoded' bodies are parsed into request.body, others
+ are left there as a String. 'multipart/form-data' fields go in request.body, and
+ uploaded files are listed in request.files as {name, filename, path, size, type}.
+ Files are only saved (as upload_dir + '/' + file name, given in path) if upload_dir
+ is set, the request matches a route and all middleware has called next(). Files
+ named '*.njs', '*.type' or '*.gz' are never saved.
+
+ Static files get an ETag and Last-Modified header, and requests with a matching
+ If-None-Match (or If-Modified-Since) get a 304 Not Modified. If the client accepts
+ gzip and 'file.gz' exists in file_system, it is sent instead of 'file' with
+ 'Content-Encoding: gzip' (the type still comes from 'file.type').
 */
 
 /**
@@ -58,6 +109,101 @@ String.prototype.byteLength = function () {
 	return total;
 }
 
+/**
+ * Get a request header, ignoring the case of its name
+ */
+function getHeader(req, name) {
+	name = name.toLowerCase();
+
+	for (var h in req.headers) {
+		if (h.toLowerCase() == name) {
+			return req.headers[h];
+		}
+	}
+}
+
+/**
+ * MD5 hash of a String, as hex (for Digest authentication)
+ */
+function md5(str) {
+	var h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476],
+		S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21],
+		n = (((str.length + 8) >> 6) + 1) * 16,
+		w = [],
+		out = '',
+		i, j;
+
+	for (i = 0; i < n; i++) {
+		w[i] = 0;
+	}
+
+	for (i = 0; i < str.length; i++) {
+		w[i >> 2] |= (str.charCodeAt(i) & 255) << ((i % 4) * 8);
+	}
+
+	w[i >> 2] |= 0x80 << ((i % 4) * 8);
+	w[n - 2] = str.length * 8;
+
+	for (i = 0; i < n; i += 16) {
+		var a = h[0], b = h[1], c = h[2], d = h[3];
+
+		for (j = 0; j < 64; j++) {
+			var r = j >> 4, f, g;
+
+			if (r == 0) {
+				f = (b & c) | (~b & d);
+				g = j;
+			} else if (r == 1) {
+				f = (d & b) | (~d & c);
+				g = (5 * j + 1) & 15;
+			} else if (r == 2) {
+				f = b ^ c ^ d;
+				g = (3 * j + 5) & 15;
+			} else {
+				f = c ^ (b | ~d);
+				g = (7 * j) & 15;
+			}
+
+			var x = (a + f + ((Math.abs(Math.sin(j + 1)) * 4294967296) | 0) + w[i + g]) | 0,
+				sh = S[(r << 2) | (j & 3)];
+
+			a = d;
+			d = c;
+			c = b;
+			b = (b + ((x << sh) | (x >>> (32 - sh)))) | 0;
+		}
+
+		h[0] = (h[0] + a) | 0;
+		h[1] = (h[1] + b) | 0;
+		h[2] = (h[2] + c) | 0;
+		h[3] = (h[3] + d) | 0;
+	}
+
+	for (i = 0; i < 16; i++) {
+		out += ((h[i >> 2] >>> ((i % 4) * 8)) & 255 | 256).toString(16).substr(1);
+	}
+
+	return out;
+}
+
+/**
+ * Parse 'a=1&b=2' form data
+ */
+function parseForm(str) {
+	var data = {};
+
+	str.split('&').forEach(function (pair) {
+		var i = pair.indexOf('=');
+
+		if (pair) {
+			data[decodeURIComponent((i < 0 ? pair : pair.substr(0, i)).replace(/\+/g, ' '))] =
+				i < 0 ? '' : decodeURIComponent(pair.substr(i + 1).replace(/\+/g, ' '));
+		}
+	});
+
+	return data;
+}
+
 /**
  * Espruino WebServer
  * @param {Object} cfg Configuration set
@@ -70,22 +216,252 @@ function WebServer (cfg) {
 	this.index = cfg.default_index || 'index.html';
 	this.not_found = cfg.default_not_found || 'File not found';
 	this.file_system = cfg.file_system || '';
+	this.upload_dir = cfg.upload_dir || null;
+
+	var trim = function (path) {
+		return path.replace(/\/+$/, '');
+	};
+
+	if (this.upload_dir && this.file_system && (trim(this.upload_dir) + '/').indexOf(trim(this.file_system) + '/') == 0) {
+		// Uploads there could be served, or run as Server Side Scripts
+		throw new Error('upload_dir must be outside file_system');
+	}
+
 	this.memory = cfg.memory || null;
+	this.body_limit = cfg.body_limit || 2048;
+	this.cache_control = cfg.cache_control || null;
+	this.started = new Date(); // Last-Modified of memory files not changed since
+	this.etags = {}; // {content, etag, modified} of memory files, by uri.key
+	this.auth = cfg.auth || null;
+	this.nonces = []; // Recently issued Digest nonces, as {nonce, nc} with the last nc used
+	this.routes = [];
+	this.middleware = [];
 }
 
+/**
+ * Register a route handler for a method and path, eg. '/api/sensor/:id'
+ */
+WebServer.prototype.route = function (method, path, fn) {
+	this.routes.push({method: method, parts: path.split('/'), fn: fn});
+	return this;
+};
+
+WebServer.prototype.get = function (path, fn) {
+	return this.route('GET', path, fn);
+};
+
+WebServer.prototype.post = function (path, fn) {
+	return this.route('POST', path, fn);
+};
+
+WebServer.prototype.put = function (path, fn) {
+	return this.route('PUT', path, fn);
+};
+
+WebServer.prototype['delete'] = function (path, fn) {
+	return this.route('DELETE', path, fn);
+};
+
+/**
+ * Register middleware, called as fn(request, response, next) for every request
+ */
+WebServer.prototype.use = function (fn) {
+	this.middleware.push(fn);
+	return this;
+};
+
+/**
+ * Find the route for a method and path, with the values of its ':name' parameters
+ */
+WebServer.prototype.matchRoute = function (method, path) {
+	var parts = path.split('/');
+
+	for (var r = 0; r < this.routes.length; r++) {
+		var route = this.routes[r],
+			params = {},
+			i;
+
+		if ((route.method != method && !(method == 'HEAD' && route.method == 'GET')) || route.parts.length != parts.length) {
+			continue;
+		}
+
+		for (i = 0; i < parts.length; i++) {
+			if (route.parts[i].charAt(0) == ':') {
+				try {
+					params[route.parts[i].substr(1)] = decodeURIComponent(parts[i]);
+				} catch (e) {
+					break; // Malformed % escape - can't match
+				}
+			} else if (route.parts[i] != parts[i]) {
+				break;
+			}
+		}
+
+		if (i == parts.length) {
+			return {fn: route.fn, params: params};
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Check the credentials for protected paths. Answers 401 with a challenge (and emits
+ * 'unauthorized') and returns false if they are missing or wrong
+ */
+WebServer.prototype.authorize = function (req, res, uri) {
+	var auth = this.auth;
+
+	// Whole segments only ('/config' isn't '/configuration'), and any case, as FatFs ignores it
+	var pathname = uri.pathname.toLowerCase() + '/';
+
+	if (!auth || (auth.paths && !auth.paths.some(function (path) {
+		return pathname.indexOf(path.toLowerCase().replace(/\/*$/, '/')) == 0;
+	}))) {
+		return true;
+	}
+
+	var realm = auth.realm || 'Espruino',
+		users = auth.users || {},
+		digest = auth.type == 'digest',
+		given = getHeader(req, 'Authorization') || '',
+		header = {'status': 401, 'Content-Type': this.type};
+
+	if (!digest && given.indexOf('Basic ') == 0) {
+		var login = atob(given.substr(6)),
+			i = login.indexOf(':');
+
+		if (i > 0 && users.hasOwnProperty(login.substr(0, i)) && users[login.substr(0, i)] === login.substr(i + 1)) {
+			return true;
+		}
+	} else if (digest && given.indexOf('Digest ') == 0) {
+		var p = {};
+
+		(given.substr(7).match(/\w+=("[^"]*"|[^,]*)/g) || []).forEach(function (param) {
+			var i = param.indexOf('=');
+			p[param.substr(0, i)] = param.substr(i + 1).replace(/^"|"$/g, '');
+		});
+
+		var issued = this.nonces.filter(function (n) {
+				return n.nonce === p.nonce;
+			})[0],
+			nc = parseInt(p.nc, 16);
+
+		// The response must be for this very request, and nc must go up with each use of
+		// the nonce - otherwise a captured header could be replayed
+		if (issued && users.hasOwnProperty(p.username) && p.uri === req.url && p.qop == 'auth' && nc > issued.nc) {
+			var ha1 = md5(p.username + ':' + realm + ':' + users[p.username]),
+				ha2 = md5(req.method + ':' + p.uri),
+				expect = md5([ha1, p.nonce, p.nc, p.cnonce, p.qop, ha2].join(':'));
+
+			if (p.response === expect) {
+				issued.nc = nc;
+				return true;
+			}
+		}
+	}
+
+	if (digest) {
+		var nonce = md5(Math.random() + ':' + getTime());
+		this.nonces.push({nonce: nonce, nc: 0});
+
+		if (this.nonces.length > 8) {
+			this.nonces.shift();
+		}
+
+		header['WWW-Authenticate'] = 'Digest realm="' + realm + '", qop="auth", nonce="' + nonce + '"';
+	} else {
+		header['WWW-Authenticate'] = 'Basic realm="' + realm + '"';
+	}
+
+	this.emit('unauthorized', req, res, uri, this);
+	this.serveContent(res, header, 'Unauthorized');
+
+	return false;
+};
+
 WebServer.prototype.router = function (req, res) {
 	var uri = url.parse(req.url, true),
-		i = uri.pathname.lastIndexOf('/'),
-		header = {'status': 200, 'Content-Type': this.type},
-		content = '';
+		self = this,
+		bodyDone = false,
+		waiting = false,
+		upload = {},
+		m = 0;
+
+	// FatFs skips repeated separators (and takes '\' as one) and trailing dots, so
+	// '//config' or '/config.' would open '/config' without authorize seeing it. Collapse
+	// the separators, and refuse '.', '..' and names ending in a dot or space
+	uri.pathname = (uri.pathname || '/').replace(/[\/\\]+/g, '/');
+
+	if (uri.pathname.split('/').some(function (segment) {
+		return /[. ]$/.test(segment);
+	})) {
+		return this.serveContent(res, {'status': 400, 'Content-Type': this.type}, 'Bad Request');
+	}
+
+	var i = uri.pathname.lastIndexOf('/');
 
 	if (i >= 0) {
 		uri.file = uri.pathname.substr(i+1) || this.index;
 		uri.isSsS = uri.file.toLowerCase().indexOf('.njs');
+		// The memory file at this path - so it is only served where authorize checked
+		uri.key = uri.pathname.substr(1, i) + uri.file;
 	}
 
 	this.emit('request', req, res, uri, this);
 
+	if (!this.authorize(req, res, uri)) {
+		return;
+	}
+
+	// Start collecting the body straight away, so no 'data' is missed while middleware runs
+	var ok = this.readBody(req, res, function () {
+		bodyDone = true;
+
+		if (waiting) {
+			self.handle(req, res, uri);
+		}
+	}, upload);
+
+	if (!ok) {
+		// Already answered - don't let middleware answer again
+		return;
+	}
+
+	var next = function () {
+		var fn = self.middleware[m++];
+
+		if (!fn) {
+			if (upload.accept) {
+				// Only now may uploaded files be saved, and only for routes
+				upload.accept(self.matchRoute(req.method, uri.pathname) ? self.upload_dir : null);
+			}
+
+			if (bodyDone) {
+				self.handle(req, res, uri);
+			} else {
+				waiting = true;
+			}
+
+			return;
+		}
+
+		try {
+			fn(req, res, next);
+		} catch (e) {
+			self.emit('error', e, self);
+			self.serveContent(res, {'status': 500, 'Content-Type': self.type}, e.type + ' on ' + uri.file + ': ' + e.msg);
+		}
+	};
+
+	next();
+};
+
+WebServer.prototype.handle = function (req, res, uri) {
+	var header = {'status': 200, 'Content-Type': this.type},
+		gzip = (getHeader(req, 'Accept-Encoding') || '').indexOf('gzip') >= 0,
+		content = '';
+
 	try {
 		switch (req.method) {
 			case 'TRACE':
@@ -94,10 +470,23 @@ WebServer.prototype.router = function (req, res) {
 				break;
 
 			default:
-				var file = (this.memory && this.memory[uri.file])? this.memory[uri.file] : ((this.file_system)? this.getDiskFile(this.file_system + uri.pathname) : null);
+				var route = this.matchRoute(req.method, uri.pathname),
+					file;
+
+				if (route) {
+					req.params = route.params;
+					file = route.fn(req, res, uri, this);
+
+					if (!file) {
+						// The handler wrote the response itself
+						return;
+					}
+				} else {
+					file = (this.memory && this.memory[uri.key])? this.memory[uri.key] : ((this.file_system)? this.getDiskFile(this.file_system + uri.pathname, gzip) : null);
+				}
 				
 				if (file) {
-					if (uri.isSsS > 0) {
+					if (!route && uri.isSsS > 0) {
 						if (typeof file.content == 'object') {
 							file = this.evalFile(file.content);
 						}
@@ -111,21 +500,32 @@ WebServer.prototype.router = function (req, res) {
 						content = file.content;
 						
 						if (file.header) {
-							header = file.header;
+							header = {};
+
+							for (var h in file.header) {
+								header[h] = file.header[h];
+							}
 						} else if (file.type) {
 							header['Content-Type'] = file.type;
 						}
+
+						if (!route && !(uri.isSsS > 0) && this.cacheHeaders(req, header, file, uri)) {
+							// Not Modified - the client's copy is current
+							if (content.close) content.close();
+							content = '';
+						}
 					}
 				}
 
 				
-				if (!content) {
+				if (!content && header['status'] != 304) {
 					header['status'] = 404;
 					header['Content-Type'] = this.type;
 					content = this.not_found;
 				}
 
 				if (req.method == 'HEAD') {
+					if (content.close) content.close();
 					content = '';
 				}
 		}
@@ -143,6 +543,254 @@ WebServer.prototype.router = function (req, res) {
 	this.serveContent(res, header, content);
 };
 
+/**
+ * Collect the request body into req.body, then call done()
+ * Answers 400 or 413 itself (without calling done) if the body is malformed or too big,
+ * and returns false if it did so straight away.
+ * For multipart bodies, upload.accept(dir) is set - see multipart
+ */
+WebServer.prototype.readBody = function (req, res, done, upload) {
+	var length = parseInt(getHeader(req, 'Content-Length'), 10) || 0,
+		type = (getHeader(req, 'Content-Type') || '').toLowerCase(),
+		self = this,
+		received = 0,
+		finished = false,
+		body = '',
+		onData;
+
+	req.body = {};
+
+	if (!length) {
+		done();
+		return true;
+	}
+
+	var fail = function (status, msg) {
+		finished = true;
+		self.serveContent(res, {'status': status, 'Content-Type': self.type}, msg);
+		return false;
+	};
+
+	var finish = function () {
+		if (finished) return;
+		finished = true;
+
+		if (onData) {
+			onData();
+		} else if (type.indexOf('application/json') == 0) {
+			try {
+				req.body = JSON.parse(body);
+			} catch (e) {
+				return fail(400, 'Invalid JSON');
+			}
+		} else if (type.indexOf('application/x-www-form-urlencoded') == 0) {
+			req.body = parseForm(body);
+		} else {
+			req.body = body;
+		}
+
+		done();
+	};
+
+	if (type.indexOf('multipart/form-data') == 0) {
+		// Match the original header, as the case of the boundary matters
+		var boundary = getHeader(req, 'Content-Type').match(/boundary="?([^;"]+)/i);
+
+		if (!boundary) {
+			return fail(400, 'Missing multipart boundary');
+		}
+
+		onData = this.multipart(req, boundary[1]);
+		upload.accept = onData.accept;
+	} else if (length > this.body_limit) {
+		return fail(413, 'Request body too large');
+	}
+
+	req.on('data', function (data) {
+		if (finished) return;
+		received += data.length;
+
+		if (onData) {
+			if (onData(data) === false) {
+				onData.abort();
+				fail(413, 'Request body too large');
+			}
+		} else {
+			body += data;
+		}
+
+		if (received >= length) {
+			finish();
+		}
+	});
+
+	req.on('close', finish);
+	return true;
+};
+
+/**
+ * Streaming multipart/form-data parser. Returns a function to call with each chunk
+ * of data (and with no arguments at the end), which returns false if the form
+ * fields (or files held in memory) exceed body_limit.
+ * No file is opened until accept(dir) is called: files that arrive before that are
+ * held in memory and saved then. With no dir, files are listed but not saved
+ */
+WebServer.prototype.multipart = function (req, boundary) {
+	var self = this,
+		delim = '\r\n--' + boundary,
+		buf = '\r\n', // so the first boundary also starts with CRLF
+		fields = 0,
+		part = null,
+		held = [], // files that ended before accept
+		dir, // undefined until accept is called
+		state = 0; // 0: before first boundary, 1: part headers, 2: part data, 3: finished
+
+	req.files = [];
+
+	// Open the file for a part, if it can be saved
+	var open = function (p) {
+		if (dir && !/^\.\.?$|\.(njs|type|gz)$/i.test(p.info.filename)) {
+			p.info.path = dir + '/' + p.info.filename;
+			p.file = E.openFile(p.info.path, 'w');
+		}
+	};
+
+	var write = function (data) {
+		if (!part || !data) return true;
+		part.info.size += data.length;
+
+		if (part.file) {
+			part.file.write(data);
+		} else if (part.held !== undefined) {
+			fields += data.length;
+			part.held += data;
+		} else if (!part.info.filename) {
+			fields += data.length;
+			req.body[part.info.name] += data;
+		}
+
+		return fields <= self.body_limit;
+	};
+
+	var endPart = function () {
+		if (part && part.file) {
+			part.file.close();
+		} else if (part && part.held !== undefined) {
+			held.push(part);
+		}
+
+		part = null;
+	};
+
+	var parse = function (data) {
+		if (data === undefined) {
+			// Request finished - close anything left open
+			endPart();
+			return;
+		}
+
+		buf += data;
+
+		while (state != 3) {
+			if (state != 1) {
+				var i = buf.indexOf(delim);
+
+				if (i < 0) {
+					// Keep back anything that could be the start of the delimiter
+					var keep = Math.max(buf.length - delim.length + 1, 0);
+					if (state == 2 && write(buf.substr(0, keep)) === false) return false;
+					buf = buf.substr(keep);
+					return true;
+				}
+
+				if (state == 2 && write(buf.substr(0, i)) === false) return false;
+				endPart();
+				buf = buf.substr(i + delim.length);
+				state = 1;
+			}
+
+			if (buf.length < 2) return true;
+
+			if (buf.substr(0, 2) == '--') {
+				state = 3;
+				break;
+			}
+
+			var h = buf.indexOf('\r\n\r\n');
+			if (h < 0) return true;
+
+			var headers = buf.substr(2, h - 2),
+				name = headers.match(/[; ]name="([^"]*)"/),
+				filename = headers.match(/filename="([^"]*)"/),
+				type = headers.match(/Content-Type: *([^\r]*)/i);
+
+			buf = buf.substr(h + 4);
+			state = 2;
+			part = {info: {name: name ? name[1] : '', size: 0, type: type ? type[1] : undefined}};
+
+			if (filename && filename[1]) {
+				// Never let the client choose the directory
+				part.info.filename = filename[1].split(/[\/\\]/).pop();
+				req.files.push(part.info);
+
+				if (dir === undefined) {
+					part.held = '';
+				} else {
+					open(part);
+				}
+			} else {
+				req.body[part.info.name] = '';
+			}
+		}
+
+		return true;
+	};
+
+	// Give up on the request - close the file being written, and remove all the
+	// files saved, as the route won't get them
+	parse.abort = function () {
+		if (part && part.file) {
+			part.file.close();
+		}
+
+		part = null;
+		held = [];
+		req.files.forEach(function (info) {
+			if (info.path) {
+				require('fs').unlink(info.path);
+				delete info.path;
+			}
+		});
+	};
+
+	// Decide where files go (or null to not save them), and save any held so far
+	parse.accept = function (d) {
+		dir = d || null;
+
+		held.forEach(function (p) {
+			open(p);
+
+			if (p.file) {
+				p.file.write(p.held);
+				p.file.close();
+			}
+		});
+		held = [];
+
+		if (part && part.held !== undefined) {
+			open(part);
+
+			if (part.file) {
+				part.file.write(part.held);
+			}
+
+			delete part.held;
+		}
+	};
+
+	return parse;
+};
+
 WebServer.prototype.evalFile = function (file) {
 	var chunk = txt = '',
 		content;
@@ -182,12 +830,90 @@ WebServer.prototype.serveContent = function (res, header, content) {
 	}
 };
 
-WebServer.prototype.getDiskFile = function (path) {
-	var file, fileType, content, type;
+/**
+ * Add ETag, Last-Modified, Content-Encoding and Cache-Control headers for a static file.
+ * Returns true (having set the status to 304) if the client's cached copy is current
+ */
+WebServer.prototype.cacheHeaders = function (req, header, file, uri) {
+	var ext = uri.file.split('.').pop().toLowerCase(),
+		match = getHeader(req, 'If-None-Match'),
+		since = getHeader(req, 'If-Modified-Since'),
+		etag = file.etag,
+		modified = file.modified;
+
+	if (!etag && typeof file.content == 'string') {
+		// Memory file - its content may be changed at any time, so keep the ETag with
+		// the content it was made from (and not in the user's memory object)
+		var cached = this.etags[uri.key];
+
+		if (!cached || cached.content !== file.content) {
+			cached = this.etags[uri.key] = {
+				content: file.content,
+				etag: '"' + (E.CRC32(file.content) >>> 0).toString(16) + '"',
+				modified: (cached ? new Date() : this.started).toUTCString()
+			};
+		}
+
+		etag = cached.etag;
+		modified = cached.modified;
+	}
+
+	if (etag) {
+		header['ETag'] = etag;
+	}
+
+	if (modified) {
+		header['Last-Modified'] = modified;
+	}
+
+	if (file.size !== undefined) {
+		header['Content-Length'] = file.size;
+	}
+
+	if (file.encoding) {
+		header['Content-Encoding'] = file.encoding;
+		header['Vary'] = 'Accept-Encoding';
+	}
+
+	if (this.cache_control && (this.cache_control[ext] || this.cache_control['*'])) {
+		header['Cache-Control'] = this.cache_control[ext] || this.cache_control['*'];
+	}
+
+	if (match ? etag && (match == '*' || match.split(/, */).some(function (tag) {
+		return tag.replace(/^W\//, '') == etag;
+	})) : since && since == modified) {
+		header['status'] = 304;
+		delete header['Content-Length'];
+
+		return true;
+	}
+
+	return false;
+};
+
+/**
+ * Open a file from disk, with its type from the 'file.type' sidecar and caching details.
+ * With gzip set, 'file.gz' is used instead when it exists
+ */
+WebServer.prototype.getDiskFile = function (path, gzip) {
+	var file, fileType, content, type, stat, encoding, etag, modified;
 
 	try {
-		if ((file = E.openFile(path, 'r')) != 'undefined') {
-				if ((fileType = E.openFile(path + '.type', 'r')) != 'undefined') {
+		var fs = require('fs');
+
+		if (gzip && (stat = fs.statSync(path + '.gz'))) {
+			encoding = 'gzip';
+		} else {
+			stat = fs.statSync(path);
+		}
+
+		if (stat) {
+			etag = '"' + stat.size.toString(16) + '-' + Math.floor(stat.mtime.getTime() / 1000).toString(16) + (encoding ? '-gz"' : '"');
+			modified = stat.mtime.toUTCString();
+		}
+
+		if ((file = E.openFile(path + (encoding ? '.gz' : ''), 'r')) != undefined) {
+				if ((fileType = E.openFile(path + '.type', 'r')) != undefined) {
 					type = fileType.read(55);
 					fileType.close();
 					fileType = null;
@@ -199,7 +925,7 @@ WebServer.prototype.getDiskFile = function (path) {
 		this.emit('error', e, this);
 	}
 
-	return {content: content, type: type};
+	return {content: content, type: type, etag: etag, modified: modified, size: stat && content ? stat.size : undefined, encoding: encoding};
 };
 
 WebServer.prototype.createServer = function () {
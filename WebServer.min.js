@@ -1,5 +1,21 @@
-function h(a){a=a||{};this.port=a.port||80;this.type=a.default_type||"text/plain";this.index=a.default_index||"index.html";this.not_found=a.default_not_found||"File not found";this.file_system=a.file_system||"";this.memory=a.memory||null}String.prototype.byteLength=function(){for(var a=0,c=8*Math.LN2,b=0;b<this.length;b++)a+=Math.ceil(Math.log(this[b].charCodeAt())/c);return a};h.prototype.router=function(a,c){var b=url.parse(a.url,!0),g=b.pathname.lastIndexOf("/"),d={status:200,"Content-Type":this.type},
-f="";0<=g&&(b.file=b.pathname.substr(g+1)||this.index,b.isSsS=b.file.toLowerCase().indexOf(".njs"));this.emit("request",a,c,b,this);try{switch(a.method){case "TRACE":d["Content-Type"]="message/http";f=this.getTrace(a);break;default:var e=this.memory&&this.memory[b.file]?this.memory[b.file]:this.file_system?this.getDiskFile(this.file_system+b.pathname):null;e&&(0<b.isSsS&&("object"==typeof e.content&&(e=this.evalFile(e.content)),"function"==typeof e.content&&(e=e.content(a,c,b,this))),e.content&&(f=
-e.content,e.header?d=e.header:e.type&&(d["Content-Type"]=e.type)));f||(d.status=404,d["Content-Type"]=this.type,f=this.not_found);"HEAD"==a.method&&(f="")}}catch(k){this.emit("error",k,this),d.status=500,d["Content-Type"]=this.type,f=k.type+" on "+b.file+": "+k.msg}!d["Content-Length"]&&f.byteLength&&(d["Content-Length"]=f.byteLength());this.serveContent(c,d,f)};h.prototype.evalFile=function(a){var c=txt="",b;try{for(;c=a.read(8);)txt+=c;a.close();b=eval(txt)()}catch(g){this.emit("error",g,this)}return b};
-h.prototype.serveContent=function(a,c,b){a.writeHead(c.status,c);try{"string"==typeof b?a.end(b):b.pipe?b.pipe(a,{complete:function(){b.close();b=null}}):a.end("")}catch(g){this.emit("error",g,this)}};h.prototype.getDiskFile=function(a){var c,b,g,d;try{"undefined"!=(c=E.openFile(a,"r"))&&("undefined"!=(b=E.openFile(a+".type","r"))&&(d=b.read(55),b.close()),g=c)}catch(f){this.emit("error",f,this)}return{content:g,type:d}};h.prototype.createServer=function(){try{this.server=require("http").createServer(this.router.bind(this)),
-this.server.listen(this.port),this.emit("start",this)}catch(a){this.emit("error",a,this)}};h.prototype.getTrace=function(a){var c;c='"status": "200"\n'+('"method": "'+a.method+'"\n');c+='"url": "'+a.url+'"\n';for(var b in a.headers)c+='"'+b+'": "'+a.headers[b]+'"\n';return c};module.exports=h
\ No newline at end of file
+function u(a,c){c=c.toLowerCase();for(var d in a.headers)if(d.toLowerCase()==c)return a.headers[d]}function v(a){var c=[1732584193,4023233417,2562383102,271733878],d=[7,12,17,22,5,9,14,20,4,11,16,23,6,10,15,21],e=((a.length+8>>6)+1)*16,h=[],f="",b;for(b=0;b<e;b++)h[b]=0;for(b=0;b<a.length;b++)h[b>>2]|=(a.charCodeAt(b)&255)<<b%4*8;h[b>>2]|=128<<b%4*8;h[e-2]=a.length*8;for(b=0;b<e;b+=16){var g=c[0],l=c[1],n=c[2],m=c[3];for(a=0;a<64;a++){var p=a>>4;if(p==0){var q=l&n|~l&m;var k=a}else p==
+1?(q=m&l|~m&n,k=5*a+1&15):p==2?(q=l^n^m,k=3*a+5&15):(q=n^(l|~m),k=7*a&15);q=g+q+(Math.abs(Math.sin(a+1))*4294967296|0)+h[b+k]|0;p=d[p<<2|a&3];g=m;m=n;n=l;l=l+(q<<p|q>>>32-p)|0}c[0]=c[0]+g|0;c[1]=c[1]+l|0;c[2]=c[2]+n|0;c[3]=c[3]+m|0}for(b=0;b<16;b++)f+=(c[b>>2]>>>b%4*8&255|256).toString(16).substr(1);return f}function y(a){var c={};a.split("&").forEach(function(d){var e=d.indexOf("=");d&&(c[decodeURIComponent((e<0?d:d.substr(0,e)).replace(/\+/g," "))]=e<0?"":decodeURIComponent(d.substr(e+1).replace(/\+/g,
+" ")))});return c}function r(a){a=a||{};this.port=a.port||80;this.type=a.default_type||"text/plain";this.index=a.default_index||"index.html";this.not_found=a.default_not_found||"File not found";this.file_system=a.file_system||"";if((this.upload_dir=a.upload_dir||null)&&this.file_system&&(this.upload_dir.replace(/\/+$/,"")+"/").indexOf(this.file_system.replace(/\/+$/,"")+"/")==0)throw Error("upload_dir must be outside file_system");this.memory=a.memory||null;this.body_limit=a.body_limit||2048;this.cache_control=
+a.cache_control||null;this.started=new Date;this.etags={};this.auth=a.auth||null;this.nonces=[];this.routes=[];this.middleware=[]}String.prototype.byteLength=function(){for(var a=0,c=Math.LN2*8,d=0;d<this.length;d++)a+=Math.ceil(Math.log(this[d].charCodeAt())/c);return a};r.prototype.route=function(a,c,d){this.routes.push({method:a,parts:c.split("/"),fn:d});return this};r.prototype.get=function(a,c){return this.route("GET",a,c)};r.prototype.post=function(a,c){return this.route("POST",a,c)};r.prototype.put=
+function(a,c){return this.route("PUT",a,c)};r.prototype["delete"]=function(a,c){return this.route("DELETE",a,c)};r.prototype.use=function(a){this.middleware.push(a);return this};r.prototype.matchRoute=function(a,c){c=c.split("/");for(var d=0;d<this.routes.length;d++){var e=this.routes[d],h={},f;if((e.method==a||a=="HEAD"&&e.method=="GET")&&e.parts.length==c.length){for(f=0;f<c.length;f++)if(e.parts[f].charAt(0)==":")try{h[e.parts[f].substr(1)]=decodeURIComponent(c[f])}catch(b){break}else if(e.parts[f]!=
+c[f])break;if(f==c.length)return{fn:e.fn,params:h}}}return null};r.prototype.authorize=function(a,c,d){var e=this.auth,h=d.pathname.toLowerCase()+"/";if(!e||e.paths&&!e.paths.some(function(q){return h.indexOf(q.toLowerCase().replace(/\/*$/,"/"))==0}))return!0;var f=e.realm||"Espruino",b=e.users||{},g=e.type=="digest",l=u(a,"Authorization")||"";e={status:401,"Content-Type":this.type};if(!g&&l.indexOf("Basic ")==0){l=atob(l.substr(6));var n=l.indexOf(":");if(n>0&&b.hasOwnProperty(l.substr(0,n))&&b[l.substr(0,
+n)]===l.substr(n+1))return!0}else if(g&&l.indexOf("Digest ")==0){var m={};(l.substr(7).match(/\w+=("[^"]*"|[^,]*)/g)||[]).forEach(function(q){var k=q.indexOf("=");m[q.substr(0,k)]=q.substr(k+1).replace(/^"|"$/g,"")});l=this.nonces.filter(function(q){return q.nonce===m.nonce})[0];n=parseInt(m.nc,16);if(l&&b.hasOwnProperty(m.username)&&m.uri===a.url&&m.qop=="auth"&&n>l.nc){b=v(m.username+":"+f+":"+b[m.username]);var p=v(a.method+":"+m.uri);b=v([b,m.nonce,m.nc,m.cnonce,m.qop,p].join(":"));if(m.response===
+b)return l.nc=n,!0}}g?(g=v(Math.random()+":"+getTime()),this.nonces.push({nonce:g,nc:0}),this.nonces.length>8&&this.nonces.shift(),e["WWW-Authenticate"]='Digest realm="'+f+'", qop="auth", nonce="'+g+'"'):e["WWW-Authenticate"]='Basic realm="'+f+'"';this.emit("unauthorized",a,c,d,this);this.serveContent(c,e,"Unauthorized");return!1};r.prototype.router=function(a,c){var d=url.parse(a.url,!0),e=this,h=!1,f=!1,b={},g=0;d.pathname=(d.pathname||"/").replace(/[\/\\]+/g,"/");if(d.pathname.split("/").some(function(m){return/[. ]$/.test(m)}))return this.serveContent(c,
+{status:400,"Content-Type":this.type},"Bad Request");var l=d.pathname.lastIndexOf("/");l>=0&&(d.file=d.pathname.substr(l+1)||this.index,d.isSsS=d.file.toLowerCase().indexOf(".njs"),d.key=d.pathname.substr(1,l)+d.file);this.emit("request",a,c,d,this);if(this.authorize(a,c,d)&&this.readBody(a,c,function(){h=!0;f&&e.handle(a,c,d)},b)){var n=function(){var m=e.middleware[g++];if(m)try{m(a,c,n)}catch(p){e.emit("error",p,e),e.serveContent(c,{status:500,"Content-Type":e.type},p.type+" on "+d.file+": "+p.msg)}else b.accept&&
+b.accept(e.matchRoute(a.method,d.pathname)?e.upload_dir:null),h?e.handle(a,c,d):f=!0};n()}};r.prototype.handle=function(a,c,d){var e={status:200,"Content-Type":this.type},h=(u(a,"Accept-Encoding")||"").indexOf("gzip")>=0,f="";try{switch(a.method){case "TRACE":e["Content-Type"]="message/http";f=this.getTrace(a);break;default:var b=this.matchRoute(a.method,d.pathname);if(b){a.params=b.params;var g=b.fn(a,c,d,this);if(!g)return}else g=this.memory&&this.memory[d.key]?this.memory[d.key]:this.file_system?
+this.getDiskFile(this.file_system+d.pathname,h):null;if(g&&(!b&&d.isSsS>0&&(typeof g.content=="object"&&(g=this.evalFile(g.content)),typeof g.content=="function"&&(g=g.content(a,c,d,this))),g.content)){f=g.content;if(g.header){e={};for(var l in g.header)e[l]=g.header[l]}else g.type&&(e["Content-Type"]=g.type);b||d.isSsS>0||!this.cacheHeaders(a,e,g,d)||(f.close&&f.close(),f="")}f||e.status==304||(e.status=404,e["Content-Type"]=this.type,f=this.not_found);a.method=="HEAD"&&(f.close&&f.close(),f="")}}catch(n){this.emit("error",
+n,this),e.status=500,e["Content-Type"]=this.type,f=n.type+" on "+d.file+": "+n.msg}!e["Content-Length"]&&f.byteLength&&(e["Content-Length"]=f.byteLength());this.serveContent(c,e,f)};r.prototype.readBody=function(a,c,d,e){var h=parseInt(u(a,"Content-Length"),10)||0,f=(u(a,"Content-Type")||"").toLowerCase(),b=this,g=0,l=!1,n="";a.body={};if(!h)return d(),!0;var m=function(t,w){l=!0;b.serveContent(c,{status:t,"Content-Type":b.type},w);return!1},p=function(){if(!l){l=!0;if(k)k();else if(f.indexOf("application/json")==
+0)try{a.body=JSON.parse(n)}catch(t){return m(400,"Invalid JSON")}else f.indexOf("application/x-www-form-urlencoded")==0?a.body=y(n):a.body=n;d()}};if(f.indexOf("multipart/form-data")==0){var q=u(a,"Content-Type").match(/boundary="?([^;"]+)/i);if(!q)return m(400,"Missing multipart boundary");var k=this.multipart(a,q[1]);e.accept=k.accept}else if(h>this.body_limit)return m(413,"Request body too large");a.on("data",function(t){l||(g+=t.length,k?k(t)===!1&&(k.abort(),m(413,"Request body too large")):
+n+=t,g>=h&&p())});a.on("close",p);return!0};r.prototype.multipart=function(a,c){var d=this,e="\r\n--"+c,h="\r\n",f=0,b=null,g=[],l,n=0;a.files=[];var m=function(k){l&&!/^\.\.?$|\.(njs|type|gz)$/i.test(k.info.filename)&&(k.info.path=l+"/"+k.info.filename,k.file=E.openFile(k.info.path,"w"))},p=function(k){if(!b||!k)return!0;b.info.size+=k.length;b.file?b.file.write(k):b.held!==void 0?(f+=k.length,b.held+=k):b.info.filename||(f+=k.length,a.body[b.info.name]+=k);return f<=d.body_limit},q=function(){b&&
+b.file?b.file.close():b&&b.held!==void 0&&g.push(b);b=null};c=function(k){if(k===void 0)q();else{for(h+=k;n!=3;){if(n!=1){k=h.indexOf(e);if(k<0){k=Math.max(h.length-e.length+1,0);if(n==2&&p(h.substr(0,k))===!1)return!1;h=h.substr(k);break}if(n==2&&p(h.substr(0,k))===!1)return!1;q();h=h.substr(k+e.length);n=1}if(h.length<2)break;if(h.substr(0,2)=="--"){n=3;break}k=h.indexOf("\r\n\r\n");if(k<0)break;var t=h.substr(2,k-2),w=t.match(/[; ]name="([^"]*)"/),x=t.match(/filename="([^"]*)"/);t=t.match(/Content-Type: *([^\r]*)/i);
+h=h.substr(k+4);n=2;b={info:{name:w?w[1]:"",size:0,type:t?t[1]:void 0}};x&&x[1]?(b.info.filename=x[1].split(/[\/\\]/).pop(),a.files.push(b.info),l===void 0?b.held="":m(b)):a.body[b.info.name]=""}return!0}};c.abort=function(){b&&b.file&&b.file.close();b=null;g=[];a.files.forEach(function(k){k.path&&(require("fs").unlink(k.path),delete k.path)})};c.accept=function(k){l=k||null;g.forEach(function(t){m(t);t.file&&(t.file.write(t.held),t.file.close())});g=[];b&&b.held!==void 0&&(m(b),b.file&&b.file.write(b.held),
+delete b.held)};return c};r.prototype.evalFile=function(a){var c=txt="";try{for(;c=a.read(8);)txt+=c;a.close();var d=eval(txt)()}catch(e){this.emit("error",e,this)}return d};r.prototype.serveContent=function(a,c,d){a.writeHead(c.status,c);try{typeof d=="string"?a.end(d):d.pipe?d.pipe(a,{complete:function(){d.close();d=null}}):a.end("")}catch(e){this.emit("error",e,this)}};r.prototype.cacheHeaders=function(a,c,d,e){var h=e.file.split(".").pop().toLowerCase(),f=u(a,"If-None-Match");a=u(a,"If-Modified-Since");
+var b=d.etag,g=d.modified;b||typeof d.content!="string"||((g=this.etags[e.key])&&g.content===d.content||(g=this.etags[e.key]={content:d.content,etag:'"'+(E.CRC32(d.content)>>>0).toString(16)+'"',modified:(g?new Date:this.started).toUTCString()}),b=g.etag,g=g.modified);b&&(c.ETag=b);g&&(c["Last-Modified"]=g);d.size!==void 0&&(c["Content-Length"]=d.size);d.encoding&&(c["Content-Encoding"]=d.encoding,c.Vary="Accept-Encoding");this.cache_control&&(this.cache_control[h]||this.cache_control["*"])&&(c["Cache-Control"]=
+this.cache_control[h]||this.cache_control["*"]);return(f?b&&(f=="*"||f.split(/, */).some(function(l){return l.replace(/^W\//,"")==b})):a&&a==g)?(c.status=304,delete c["Content-Length"],!0):!1};r.prototype.getDiskFile=function(a,c){var d,e,h,f;try{var b=require("fs");c&&(h=b.statSync(a+".gz"))?f="gzip":h=b.statSync(a);if(h){var g='"'+h.size.toString(16)+"-"+Math.floor(h.mtime.getTime()/1E3).toString(16)+(f?'-gz"':'"');var l=h.mtime.toUTCString()}if((d=E.openFile(a+(f?".gz":""),"r"))!=void 0){if((e=
+E.openFile(a+".type","r"))!=void 0){var n=e.read(55);e.close()}var m=d}}catch(p){this.emit("error",p,this)}return{content:m,type:n,etag:g,modified:l,size:h&&m?h.size:void 0,encoding:f}};r.prototype.createServer=function(){try{this.server=require("http").createServer(this.router.bind(this)),this.server.listen(this.port),this.emit("start",this)}catch(a){this.emit("error",a,this)}};r.prototype.getTrace=function(a){var c='"status": "200"\n"method": "'+(a.method+'"\n');c+='"url": "'+a.url+'"\n';for(var d in a.headers)c+=
+'"'+d+'": "'+a.headers[d]+'"\n';return c};module.exports=r
\ No newline at end of file
@@ -18,26 +18,41 @@
       path: '/echo',
       port: 8080,
       protocolVersion: 13,
-      protocol : "echo-protocol", // optional websocket protocol
+      protocol : "echo-protocol", // optional websocket protocol(s), comma separated
+      extensions : "x-my-ext", // optional websocket extension(s) to ask for
       origin: 'Espruino',
       keepAlive: 60,  // Ping Interval in seconds.
+      closeTimeout: 5, // Seconds to wait for the server to answer close()
+      reconnect: { delay: 1, maxDelay: 30 }, // optional - reconnect after losing the connection, with the delay (seconds) doubling each attempt
       headers:{ some:'header', 'another-header':42 } // optional websocket headers
     });
 
  ws.on('open', function() {
-   console.log("Connected to server");
+   console.log("Connected to server", ws.acceptedProtocol);
+ });
+
+ ws.on('error', function(err) {
+   console.log("Error: " + err); // eg. the server's handshake response was invalid
  });
 
  ws.on('message', function(msg) {
-   console.log("MSG: " + msg);
+   console.log("MSG: " + msg); // String, or Uint8Array for binary messages
+ });
+
+ ws.on('close', function(code, reason) {
+   console.log("Connection closed", code, reason); // 1006 if there was no close frame
  });
 
- ws.on('close', function() {
-   console.log("Connection closed");
+ ws.on('reconnecting', function(attempt, delay) {
+   console.log("Reconnecting in " + delay + "ms");
  });
 
  //Send message to server
  ws.send("Hello Server");
+ //Send binary data, split into frames of at most 256 bytes
+ ws.send(new Uint8Array([1,2,3]), { binary: true, fragmentSize: 256 });
+ //Close with a status code and reason
+ ws.close(1000, "Bye");
 
  // =============================== SERVER
  var page = '<html><body><script>var ws;setTimeout(function(){';
@@ -53,10 +68,16 @@
 
  var server = require('ws').createServer(onPageRequest);
  server.listen(8000);
- server.on("websocket", function(ws) {
+ server.maxConnections = 4; // optional - further upgrades get a 503
+ server.on("websocket", function(ws) { // any path without a route
     ws.on('message',function(msg) { print("[WS] "+JSON.stringify(msg)); });
     ws.send("Hello from Espruino!");
  });
+ server.route("/live", function(ws, req) { // only for ws://host/live
+    ws.send("Live data follows");
+ });
+ // Send to every open connection (server.clients), or those the filter accepts
+ server.broadcast("Hello all", function(ws) { return ws.path == "/live"; });
 ```
 */
 
@@ -73,6 +94,26 @@ function buildKey() {
   }
 }
 
+/** Parse HTTP response headers into an object with lowercase names. The
+ status line is in '' */
+function parseHeaders(str) {
+  var lines = str.split('\r\n');
+  var headers = { '' : lines[0] };
+  for (var i = 1; i < lines.length; i++) {
+    var colon = lines[i].indexOf(':');
+    if (colon > 0)
+      headers[lines[i].substr(0, colon).trim().toLowerCase()] = lines[i].substr(colon + 1).trim();
+  }
+  return headers;
+}
+
+/** Is token in a comma separated header value? (case insensitive) */
+function hasToken(value, token) {
+  return (value || '').split(',').some(function (t) {
+    return t.trim().toLowerCase() == token.trim().toLowerCase();
+  });
+}
+
 function WebSocket(host, options) {
   this.socket = null;
   options = options || {};
@@ -81,37 +122,80 @@ function WebSocket(host, options) {
   this.protocolVersion = options.protocolVersion || 13;
   this.origin = options.origin || 'Espruino';
   this.keepAlive = options.keepAlive * 1000 || 60000;
+  this.closeTimeout = options.closeTimeout * 1000 || 5000;
+  this.reconnect = options.reconnect === true ? {} : options.reconnect;
+  this.attempts = 0;
   this.masking = options.masking!==undefined ? options.masking : true;
   this.path = options.path || "/";
   this.protocol = options.protocol;
+  this.extensions = options.extensions;
+  this.acceptedProtocol = undefined; // Sec-WebSocket-Protocol chosen by the server
+  this.acceptedExtensions = undefined; // Sec-WebSocket-Extensions chosen by the server
   this.lastData = "";
+  this.fragments = null; // {opcode, data} of a fragmented message being received
   this.key = buildKey();
   this.connected = false || options.connected;
   this.headers = options.headers || {};
 }
 
 WebSocket.prototype.initializeConnection = function () {
+  var ws = this;
+  this.key = buildKey();
+  this.lastData = "";
+  this.fragments = null;
+  this.connected = false;
+  this.closing = false;
+  this.closeSent = false;
   require("net").connect({
     host: this.host,
     port: this.port
-  }, this.onConnect.bind(this));
+  }, this.onConnect.bind(this)).on('error', function (err) {
+    ws.emit('error', err);
+    // couldn't connect at all, so there'll be no 'close'
+    if (!ws.socket) ws.retry();
+  });
 };
 
 WebSocket.prototype.onConnect = function (socket) {
   this.socket = socket;
-  var ws = this;
   socket.on('data', this.parseData.bind(this));
-  socket.on('close', function () {
-    if (ws.pingTimer) {
-      clearInterval(ws.pingTimer);
-      ws.pingTimer = undefined;
-    }
-    ws.emit('close');
-  });
+  socket.on('close', this.onClose.bind(this));
 
   this.handshake();
 };
 
+/** Socket closed - emit 'close' with the code and reason from the close frame,
+ and reconnect if we didn't close it ourselves */
+WebSocket.prototype.onClose = function () {
+  if (this.pingTimer) {
+    clearInterval(this.pingTimer);
+    this.pingTimer = undefined;
+  }
+  if (this.closeTimer) {
+    clearTimeout(this.closeTimer);
+    this.closeTimer = undefined;
+  }
+  var code = this.closeCode || 1006, reason = this.closeReason || "";
+  this.socket = null;
+  this.connected = false;
+  this.closeCode = this.closeReason = undefined;
+  this.emit('close', code, reason);
+  if (!this.closing) this.retry();
+};
+
+/** Schedule a reconnection, if options.reconnect was set */
+WebSocket.prototype.retry = function () {
+  var ws = this, r = this.reconnect;
+  if (!r || this.retryTimer) return;
+  var delay = Math.min((r.delay || 1) * 1000 * Math.pow(2, this.attempts), (r.maxDelay || 30) * 1000);
+  this.attempts++;
+  this.emit('reconnecting', this.attempts, delay);
+  this.retryTimer = setTimeout(function () {
+    ws.retryTimer = undefined;
+    ws.initializeConnection();
+  }, delay);
+};
+
 WebSocket.prototype.parseData = function (data) {
   // see https://developer.mozilla.org/en-US/docs/Web/API/WebSockets_API/Writing_WebSocket_servers
   // Note, docs specify bits 0-7, etc - but BIT 0 is the MSB, 7 is the LSB
@@ -124,29 +208,51 @@ WebSocket.prototype.parseData = function (data) {
   }
 
   if (!this.connected) {
-    // FIXME - not a good idea!
-    if (data.indexOf(this.key.hashed) > -1 && data.indexOf('\r\n\r\n') > -1) {
-        this.emit('handshake');
-      this.pingTimer = setInterval(function () {
-        ws.send('ping', 0x89);
-      }, this.keepAlive);
-      data = data.substring(data.indexOf('\r\n\r\n') + 4);
-      this.connected = true;
-      this.emit('open');
+    var end = data.indexOf('\r\n\r\n');
+    if (end < 0) {
+      // wait for the rest of the response headers
+      this.lastData = data;
+      return;
     }
-    this.lastData = data;
-    return;
+    var headers = parseHeaders(data.substr(0, end));
+    var err = this.checkHandshake(headers);
+    if (err) {
+      this.emit('error', "WebSocket handshake failed: " + err);
+      this.socket.end();
+      return;
+    }
+    this.acceptedProtocol = headers['sec-websocket-protocol'];
+    this.acceptedExtensions = headers['sec-websocket-extensions'];
+    this.emit('handshake', headers);
+    this.pingTimer = setInterval(function () {
+      ws.send('ping', 0x89);
+    }, this.keepAlive);
+    data = data.substr(end + 4);
+    this.connected = true;
+    this.attempts = 0;
+    this.emit('open');
   }
 
   while (data.length) {
-    var offset = 2;
+    var fin = data.charCodeAt(0)&128;
     var opcode = data.charCodeAt(0)&15;
+    var masked = data.charCodeAt(1)&128;
     var dataLen = data.charCodeAt(1)&127;
+    var offset = 2 + (dataLen==126 ? 2 : (dataLen==127 ? 8 : 0));
+    if (data.length < 2 || data.length < offset + (masked?4:0)) {
+      // not even the whole header yet
+      this.lastData = data;
+      return;
+    }
     if (dataLen==126) {
       dataLen = data.charCodeAt(3) | (data.charCodeAt(2)<<8);
-      offset += 2;
-    } else if (dataLen==127) throw "Messages >65535 in length unsupported";
-    var pktLen = dataLen+offset+((data.charCodeAt(1)&128)?4/*mask*/:0);
+    } else if (dataLen==127) {
+      // 64 bit length - anything over 2^53 won't fit in memory anyway
+      dataLen = 0;
+      for (var b = 2; b < 10; b++)
+        dataLen = dataLen*256 + data.charCodeAt(b);
+    }
+    var pktLen = dataLen+offset+(masked?4/*mask*/:0);
     if (pktLen > data.length) {
       // we received the start of a packet, but not enough of it for a full message.
       // store it for later, so when we get the next packet we can do the whole message
@@ -154,27 +260,50 @@ WebSocket.prototype.parseData = function (data) {
       return;
     }
 
+    var mask = [ 0,0,0,0 ];
+    if (masked)
+      mask = [ data.charCodeAt(offset++), data.charCodeAt(offset++),
+               data.charCodeAt(offset++), data.charCodeAt(offset++)];
+    var msg = "";
+    for (var i = 0; i < dataLen; i++)
+      msg += strChr(data.charCodeAt(offset++) ^ mask[i&3]);
+
     switch (opcode) {
       case 0xA:
         this.emit('pong');
         break;
       case 0x9:
-        this.send('pong', 0x8A);
+        // pongs must echo the ping's payload
+        this.send(msg, 0x8A);
         this.emit('ping');
         break;
       case 0x8:
+        this.closeCode = msg.length >= 2 ? (msg.charCodeAt(0)<<8 | msg.charCodeAt(1)) : 1005/*no status*/;
+        this.closeReason = msg.substr(2);
+        if (!this.closeSent) {
+          // the other end started closing - reply with the same code
+          this.closeSent = true;
+          this.sendFrame(0x88, msg.substr(0, 2));
+        }
         this.socket.end();
-        break;
+        return;
       case 0:
       case 1:
-        var mask = [ 0,0,0,0 ];
-        if (data.charCodeAt(1)&128 /* mask */)
-          mask = [ data.charCodeAt(offset++), data.charCodeAt(offset++),
-                   data.charCodeAt(offset++), data.charCodeAt(offset++)];
-        var msg = "";
-        for (var i = 0; i < dataLen; i++)
-          msg += String.fromCharCode(data.charCodeAt(offset++) ^ mask[i&3]);
-        this.emit('message', msg);
+      case 2:
+        if (opcode) {
+          this.fragments = { opcode : opcode, data : msg };
+        } else if (this.fragments) {
+          this.fragments.data += msg;
+        } else {
+          console.log("WS: Unexpected continuation frame");
+          break;
+        }
+        if (fin) {
+          msg = this.fragments.data;
+          if (this.fragments.opcode == 2) msg = E.toUint8Array(msg);
+          this.fragments = null;
+          this.emit('message', msg);
+        }
         break;
       default:
         console.log("WS: Unknown opcode "+opcode);
@@ -183,6 +312,28 @@ WebSocket.prototype.parseData = function (data) {
     }
 };
 
+/** Check the server's response to our upgrade request - returns an error
+ message, or undefined if it's ok */
+WebSocket.prototype.checkHandshake = function (headers) {
+  var status = headers[''].split(' ');
+  if (status[1] != '101')
+    return "expected HTTP status 101, got '" + headers[''] + "'";
+  if ((headers['upgrade'] || '').toLowerCase() != 'websocket')
+    return "bad Upgrade header '" + headers['upgrade'] + "'";
+  if (!hasToken(headers['connection'], 'upgrade'))
+    return "bad Connection header '" + headers['connection'] + "'";
+  if (headers['sec-websocket-accept'] != this.key.hashed)
+    return "Sec-WebSocket-Accept doesn't match our key";
+  var protocol = headers['sec-websocket-protocol'];
+  if (protocol && !hasToken(this.protocol, protocol))
+    return "server chose protocol '" + protocol + "' that we didn't ask for";
+  var extensions = headers['sec-websocket-extensions'], asked = this.extensions;
+  if (extensions && !extensions.split(',').every(function (ext) {
+    return hasToken(asked, ext.split(';')[0]);
+  }))
+    return "server chose extensions '" + extensions + "' that we didn't ask for";
+};
+
 WebSocket.prototype.handshake = function () {
   var socketHeader = [
     "GET " + this.path + " HTTP/1.1",
@@ -195,6 +346,8 @@ WebSocket.prototype.handshake = function () {
   ];
   if (this.protocol)
     socketHeader.push("Sec-WebSocket-Protocol: "+this.protocol);
+  if (this.extensions)
+    socketHeader.push("Sec-WebSocket-Extensions: "+this.extensions);
   
   for(var key in this.headers) {
     if (this.headers.hasOwnProperty(key))
@@ -204,19 +357,55 @@ WebSocket.prototype.handshake = function () {
   this.socket.write(socketHeader.join("\r\n")+"\r\n\r\n");
 };
 
-/** Send message based on opcode type */
-WebSocket.prototype.send = function (msg, opcode) {
-  opcode = opcode === undefined ? 0x81 : opcode;
+/** Send a message. `options` is either the first byte (FIN bit and opcode)
+ of a single frame, eg. 0x89 for a ping, or an object:
+   binary       - send as a binary message (the default for Uint8Array/ArrayBuffer)
+   fragmentSize - split the message into frames of at most this many bytes
+ If not connected (eg. while waiting to reconnect) the message is dropped,
+ and 'error' is emitted */
+WebSocket.prototype.send = function (msg, options) {
+  if (!this.socket || !this.connected) {
+    this.emit('error', "WebSocket not connected");
+    return;
+  }
+  if (typeof options == "number")
+    return this.sendFrame(options, msg);
+  options = options || {};
+  var binary = options.binary;
+  if (msg instanceof ArrayBuffer || (msg && msg.buffer instanceof ArrayBuffer)) {
+    if (binary === undefined) binary = true;
+    msg = E.toString(msg instanceof ArrayBuffer ? new Uint8Array(msg) : msg);
+  } else {
+    msg = "" + msg;
+  }
+  var opcode = binary ? 2 : 1;
+  var size = options.fragmentSize || msg.length || 1;
+  var i = 0;
+  do {
+    var chunk = msg.substr(i, size);
+    i += size;
+    // the first frame has the opcode, the rest are continuation frames (0)
+    this.sendFrame((i >= msg.length ? 0x80 : 0) | opcode, chunk);
+    opcode = 0;
+  } while (i < msg.length);
+};
+
+/** Send a single frame - first byte is the FIN bit and opcode */
+WebSocket.prototype.sendFrame = function (opcode, msg) {
   var size = msg.length;
-  if (msg.length>125) {
+  if (msg.length>65535) {
+    size = 127;
+  } else if (msg.length>125) {
     size = 126;
   }
   this.socket.write(strChr(opcode, size + ( this.masking ? 128 : 0 )));
 
   if (size == 126) {
     // Need to write extra bytes for longer messages
-    this.socket.write(strChr(msg.length >> 8));
-    this.socket.write(strChr(msg.length));
+    this.socket.write(strChr(msg.length >> 8, msg.length & 255));
+  } else if (size == 127) {
+    // 64 bit length, of which we only ever need the bottom 32 bits
+    this.socket.write(strChr(0, 0, 0, 0, msg.length >>> 24, (msg.length >> 16) & 255, (msg.length >> 8) & 255, msg.length & 255));
   }
 
   if (this.masking) {
@@ -235,8 +424,27 @@ WebSocket.prototype.send = function (msg, opcode) {
   }
 };
 
-WebSocket.prototype.close = function() {
-  this.socket.end();
+/** Close the connection with a status code (default 1000) and reason. The
+ socket is closed when the other end replies, or after closeTimeout */
+WebSocket.prototype.close = function (code, reason) {
+  var ws = this;
+  this.closing = true;
+  if (this.retryTimer) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = undefined;
+  }
+  if (!this.socket) return;
+  if (!this.connected || this.closeSent) {
+    this.socket.end();
+    return;
+  }
+  code = code || 1000;
+  this.closeSent = true;
+  this.sendFrame(0x88, strChr(code >> 8, code & 255) + (reason || ""));
+  this.closeTimer = setTimeout(function () {
+    ws.closeTimer = undefined;
+    if (ws.socket) ws.socket.end();
+  }, this.closeTimeout);
 };
 
 /** Create a WebSocket client */
@@ -246,36 +454,73 @@ exports = function (host, options) {
   return ws;
 };
 
+/** Get a request header, whatever the case of its name */
+function getHeader(req, name) {
+  name = name.toLowerCase();
+  for (var h in req.headers)
+    if (h.toLowerCase() == name) return req.headers[h];
+}
+
 /** Create a WebSocket server */
 exports.createServer = function(callback, wscallback) {
   var server = require('http').createServer(function (req, res) {
-    if (req.headers.Connection && req.headers.Connection.indexOf("Upgrade")>=0) {
-      var key = req.headers["Sec-WebSocket-Key"];
+    if (hasToken(getHeader(req, "Connection"), "Upgrade")) {
+      var key = getHeader(req, "Sec-WebSocket-Key");
+      var path = req.url.split("?")[0];
+      // the key must be 16 random bytes, base64 encoded
+      if (!/^[A-Za-z0-9+\/]{22}==$/.test(key || "")) {
+        res.writeHead(400, {'Content-Type': 'text/plain'});
+        res.end("Bad Sec-WebSocket-Key");
+        return;
+      }
+      if (server.maxConnections && server.clients.length >= server.maxConnections) {
+        res.writeHead(503, {'Content-Type': 'text/plain'});
+        res.end("Too many connections");
+        return;
+      }
       var accept = btoa(E.toString(crypto.SHA1(key+"258EAFA5-E914-47DA-95CA-C5AB0DC85B11")));
       res.writeHead(101, {
           'Upgrade': 'websocket',
           'Connection': 'Upgrade',
           'Sec-WebSocket-Accept': accept,
-          'Sec-WebSocket-Protocol': req.headers["Sec-WebSocket-Protocol"]
+          'Sec-WebSocket-Protocol': getHeader(req, "Sec-WebSocket-Protocol")
       });
 
-      var ws = new WebSocket(undefined, { masking : false, connected : true });
+      var ws = new WebSocket(undefined, { masking : false, connected : true, path : path });
       ws.socket = res;
+      server.clients.push(ws);
       req.on('data', ws.parseData.bind(ws) );
       req.on('close', function() {
         // if srvPing is undefined, we already emitted a 'close'
         clearInterval(ws.srvPing);
         ws.srvPing = undefined;
-        // emit websocket close event
-        ws.emit('close');
+        var i = server.clients.indexOf(ws);
+        if (i >= 0) server.clients.splice(i, 1);
+        // emit websocket close event, with the close frame's code and reason
+        ws.closing = true;
+        ws.onClose();
       });
       /** Start a server ping at the keepAlive interval  **/
       ws.srvPing = setInterval(function () {
           ws.emit('ping', true); // true: indicates a server ping
           ws.send('ping', 0x89);
       }, ws.keepAlive);
-      server.emit("websocket", ws);
+      if (server.routes[path]) server.routes[path](ws, req);
+      else server.emit("websocket", ws);
     } else callback(req, res);
   });
+  server.clients = []; // open WebSocket connections
+  server.routes = {};
+  /** Handle connections to one path with fn(ws, req), rather than the 'websocket' event */
+  server.route = function (path, fn) {
+    server.routes[path] = fn;
+    return server;
+  };
+  /** Send a message to all open connections - or just those where filter(ws) is true */
+  server.broadcast = function (msg, filter) {
+    server.clients.forEach(function (ws) {
+      if (!filter || filter(ws)) ws.send(msg);
+    });
+  };
   return server;
 };
@@ -1,8 +1,16 @@
-function e(a,b){this.socket=null;b=b||{};this.host=a;this.port=b.port||80;this.protocolVersion=b.protocolVersion||13;this.origin=b.origin||"Espruino";this.keepAlive=1E3*b.keepAlive||6E4;this.masking=void 0!==b.masking?b.masking:!0;this.path=b.path||"/";this.protocol=b.protocol;this.lastData="";var c=btoa(Math.random().toString(36).substr(2,18));this.key={source:c,hashed:btoa(k.SHA1(c+"258EAFA5-E914-47DA-95CA-C5AB0DC85B11"))};this.connected=b.connected;this.headers=b.headers||{}}var g=
-String.fromCharCode,k=require("crypto");e.prototype.initializeConnection=function(){require("net").connect({host:this.host,port:this.port},this.onConnect.bind(this))};e.prototype.onConnect=function(a){this.socket=a;var b=this;a.on("data",this.parseData.bind(this));a.on("close",function(){b.pingTimer&&(clearInterval(b.pingTimer),b.pingTimer=void 0);b.emit("close")});this.handshake()};e.prototype.parseData=function(a){var b=this;this.emit("rawData",a);this.lastData.length&&(a=this.lastData+a,this.lastData=
-"");if(this.connected)for(;a.length;){var c=2,h=a.charCodeAt(0)&15,d=a.charCodeAt(1)&127;if(126==d)d=a.charCodeAt(3)|a.charCodeAt(2)<<8,c+=2;else if(127==d)throw"Messages >65535 in length unsupported";var e=d+c+(a.charCodeAt(1)&128?4:0);if(e>a.length){this.lastData=a;break}switch(h){case 10:this.emit("pong");break;case 9:this.send("pong",138);this.emit("ping");break;case 8:this.socket.end();break;case 0:case 1:h=[0,0,0,0];a.charCodeAt(1)&128&&(h=[a.charCodeAt(c++),a.charCodeAt(c++),a.charCodeAt(c++),
-a.charCodeAt(c++)]);for(var f="",g=0;g<d;g++)f+=String.fromCharCode(a.charCodeAt(c++)^h[g&3]);this.emit("message",f);break;default:console.log("WS: Unknown opcode "+h)}a=a.substr(e)}else-1<a.indexOf(this.key.hashed)&&-1<a.indexOf("\r\n\r\n")&&(this.emit("handshake"),this.pingTimer=setInterval(function(){b.send("ping",137)},this.keepAlive),a=a.substring(a.indexOf("\r\n\r\n")+4),this.connected=!0,this.emit("open")),this.lastData=a};e.prototype.handshake=function(){var a=["GET "+this.path+" HTTP/1.1",
-"Host: "+this.host,"Upgrade: websocket","Connection: Upgrade","Sec-WebSocket-Key: "+this.key.source,"Sec-WebSocket-Version: "+this.protocolVersion,"Origin: "+this.origin];this.protocol&&a.push("Sec-WebSocket-Protocol: "+this.protocol);for(var b in this.headers)this.headers.hasOwnProperty(b)&&a.push(b+": "+this.headers[b]);this.socket.write(a.join("\r\n")+"\r\n\r\n")};e.prototype.send=function(a,b){var c=a.length;125<a.length&&(c=126);this.socket.write(g(void 0===b?129:b,c+(this.masking?128:0)));126==
-c&&(this.socket.write(g(a.length>>8)),this.socket.write(g(a.length)));if(this.masking){for(var c=[],h="",d=0;4>d;d++){var e=Math.floor(255*Math.random());c[d]=e;h+=g(e)}for(d=0;d<a.length;d++)h+=g(a.charCodeAt(d)^c[d&3]);this.socket.write(h)}else this.socket.write(a)};e.prototype.close=function(){this.socket.end()};exports=function(a,b){var c=new e(a,b);c.initializeConnection();return c};exports.createServer=function(a,b){var c=require("http").createServer(function(b,d){if(b.headers.Connection&&0<=
-b.headers.Connection.indexOf("Upgrade")){var g=btoa(E.toString(k.SHA1(b.headers["Sec-WebSocket-Key"]+"258EAFA5-E914-47DA-95CA-C5AB0DC85B11")));d.writeHead(101,{Upgrade:"websocket",Connection:"Upgrade","Sec-WebSocket-Accept":g,"Sec-WebSocket-Protocol":b.headers["Sec-WebSocket-Protocol"]});var f=new e(void 0,{masking:!1,connected:!0});f.socket=d;b.on("data",f.parseData.bind(f));b.on("close",function(){clearInterval(f.srvPing);f.srvPing=void 0;f.emit("close")});f.srvPing=setInterval(function(){f.emit("ping",
-!0);f.send("ping",137)},f.keepAlive);c.emit("websocket",f)}else a(b,d)});return c}
\ No newline at end of file
+function r(){var a=btoa(Math.random().toString(36).substr(2,18));return{source:a,hashed:btoa(t.SHA1(a+"258EAFA5-E914-47DA-95CA-C5AB0DC85B11"))}}function u(a){a=a.split("\r\n");for(var b={"":a[0]},c=1;c<a.length;c++){var d=a[c].indexOf(":");d>0&&(b[a[c].substr(0,d).trim().toLowerCase()]=a[c].substr(d+1).trim())}return b}function n(a,b){return(a||"").split(",").some(function(c){return c.trim().toLowerCase()==b.trim().toLowerCase()})}function h(a,b){this.socket=null;b=b||{};this.host=a;this.port=
+b.port||80;this.protocolVersion=b.protocolVersion||13;this.origin=b.origin||"Espruino";this.keepAlive=b.keepAlive*1E3||6E4;this.closeTimeout=b.closeTimeout*1E3||5E3;this.reconnect=b.reconnect===!0?{}:b.reconnect;this.attempts=0;this.masking=b.masking!==void 0?b.masking:!0;this.path=b.path||"/";this.protocol=b.protocol;this.extensions=b.extensions;this.acceptedExtensions=this.acceptedProtocol=void 0;this.lastData="";this.fragments=null;this.key=r();this.connected=b.connected;this.headers=b.headers||
+{}}function p(a,b){b=b.toLowerCase();for(var c in a.headers)if(c.toLowerCase()==b)return a.headers[c]}var l=String.fromCharCode,t=require("crypto");h.prototype.initializeConnection=function(){var a=this;this.key=r();this.lastData="";this.fragments=null;this.closeSent=this.closing=this.connected=!1;require("net").connect({host:this.host,port:this.port},this.onConnect.bind(this)).on("error",function(b){a.emit("error",b);a.socket||a.retry()})};h.prototype.onConnect=function(a){this.socket=a;a.on("data",
+this.parseData.bind(this));a.on("close",this.onClose.bind(this));this.handshake()};h.prototype.onClose=function(){this.pingTimer&&(clearInterval(this.pingTimer),this.pingTimer=void 0);this.closeTimer&&(clearTimeout(this.closeTimer),this.closeTimer=void 0);var a=this.closeCode||1006,b=this.closeReason||"";this.socket=null;this.connected=!1;this.closeCode=this.closeReason=void 0;this.emit("close",a,b);this.closing||this.retry()};h.prototype.retry=function(){var a=this,b=this.reconnect;b&&!this.retryTimer&&
+(b=Math.min((b.delay||1)*1E3*Math.pow(2,this.attempts),(b.maxDelay||30)*1E3),this.attempts++,this.emit("reconnecting",this.attempts,b),this.retryTimer=setTimeout(function(){a.retryTimer=void 0;a.initializeConnection()},b))};h.prototype.parseData=function(a){var b=this;this.emit("rawData",a);this.lastData.length&&(a=this.lastData+a,this.lastData="");if(!this.connected){var c=a.indexOf("\r\n\r\n");if(c<0){this.lastData=a;return}var d=u(a.substr(0,c)),e=this.checkHandshake(d);if(e){this.emit("error",
+"WebSocket handshake failed: "+e);this.socket.end();return}this.acceptedProtocol=d["sec-websocket-protocol"];this.acceptedExtensions=d["sec-websocket-extensions"];this.emit("handshake",d);this.pingTimer=setInterval(function(){b.send("ping",137)},this.keepAlive);a=a.substr(c+4);this.connected=!0;this.attempts=0;this.emit("open")}for(;a.length;){c=a.charCodeAt(0)&128;d=a.charCodeAt(0)&15;var f=a.charCodeAt(1)&128;e=a.charCodeAt(1)&127;var k=2+(e==126?2:e==127?8:0);if(a.length<2||a.length<k+(f?4:0)){this.lastData=
+a;break}if(e==126)e=a.charCodeAt(3)|a.charCodeAt(2)<<8;else if(e==127){e=0;for(var g=2;g<10;g++)e=e*256+a.charCodeAt(g)}g=e+k+(f?4:0);if(g>a.length){this.lastData=a;break}var m=[0,0,0,0];f&&(m=[a.charCodeAt(k++),a.charCodeAt(k++),a.charCodeAt(k++),a.charCodeAt(k++)]);f="";for(var q=0;q<e;q++)f+=l(a.charCodeAt(k++)^m[q&3]);switch(d){case 10:this.emit("pong");break;case 9:this.send(f,138);this.emit("ping");break;case 8:this.closeCode=f.length>=2?f.charCodeAt(0)<<8|f.charCodeAt(1):1005;this.closeReason=
+f.substr(2);this.closeSent||(this.closeSent=!0,this.sendFrame(136,f.substr(0,2)));this.socket.end();return;case 0:case 1:case 2:if(d)this.fragments={opcode:d,data:f};else if(this.fragments)this.fragments.data+=f;else{console.log("WS: Unexpected continuation frame");break}c&&(f=this.fragments.data,this.fragments.opcode==2&&(f=E.toUint8Array(f)),this.fragments=null,this.emit("message",f));break;default:console.log("WS: Unknown opcode "+d)}a=a.substr(g)}};h.prototype.checkHandshake=function(a){if(a[""].split(" ")[1]!=
+"101")return"expected HTTP status 101, got '"+a[""]+"'";if((a.upgrade||"").toLowerCase()!="websocket")return"bad Upgrade header '"+a.upgrade+"'";if(!n(a.connection,"upgrade"))return"bad Connection header '"+a.connection+"'";if(a["sec-websocket-accept"]!=this.key.hashed)return"Sec-WebSocket-Accept doesn't match our key";var b=a["sec-websocket-protocol"];if(b&&!n(this.protocol,b))return"server chose protocol '"+b+"' that we didn't ask for";a=a["sec-websocket-extensions"];var c=this.extensions;if(a&&
+!a.split(",").every(function(d){return n(c,d.split(";")[0])}))return"server chose extensions '"+a+"' that we didn't ask for"};h.prototype.handshake=function(){var a=["GET "+this.path+" HTTP/1.1","Host: "+this.host,"Upgrade: websocket","Connection: Upgrade","Sec-WebSocket-Key: "+this.key.source,"Sec-WebSocket-Version: "+this.protocolVersion,"Origin: "+this.origin];this.protocol&&a.push("Sec-WebSocket-Protocol: "+this.protocol);this.extensions&&a.push("Sec-WebSocket-Extensions: "+this.extensions);for(var b in this.headers)this.headers.hasOwnProperty(b)&&
+a.push(b+": "+this.headers[b]);this.socket.write(a.join("\r\n")+"\r\n\r\n")};h.prototype.send=function(a,b){if(this.socket&&this.connected){if(typeof b=="number")return this.sendFrame(b,a);b=b||{};var c=b.binary;a instanceof ArrayBuffer||a&&a.buffer instanceof ArrayBuffer?(c===void 0&&(c=!0),a=E.toString(a instanceof ArrayBuffer?new Uint8Array(a):a)):a=""+a;c=c?2:1;b=b.fragmentSize||a.length||1;var d=0;do{var e=a.substr(d,b);d+=b;this.sendFrame((d>=a.length?128:0)|c,e);c=0}while(d<a.length)}else this.emit("error",
+"WebSocket not connected")};h.prototype.sendFrame=function(a,b){var c=b.length;b.length>65535?c=127:b.length>125&&(c=126);this.socket.write(l(a,c+(this.masking?128:0)));c==126?this.socket.write(l(b.length>>8,b.length&255)):c==127&&this.socket.write(l(0,0,0,0,b.length>>>24,b.length>>16&255,b.length>>8&255,b.length&255));if(this.masking){a=[];c="";for(var d=0;d<4;d++){var e=Math.floor(Math.random()*255);a[d]=e;c+=l(e)}for(d=0;d<b.length;d++)c+=l(b.charCodeAt(d)^a[d&3]);this.socket.write(c)}else this.socket.write(b)};
+h.prototype.close=function(a,b){var c=this;this.closing=!0;this.retryTimer&&(clearTimeout(this.retryTimer),this.retryTimer=void 0);this.socket&&(!this.connected||this.closeSent?this.socket.end():(a=a||1E3,this.closeSent=!0,this.sendFrame(136,l(a>>8,a&255)+(b||"")),this.closeTimer=setTimeout(function(){c.closeTimer=void 0;c.socket&&c.socket.end()},this.closeTimeout)))};exports=function(a,b){a=new h(a,b);a.initializeConnection();return a};exports.createServer=function(a,b){var c=require("http").createServer(function(d,
+e){if(n(p(d,"Connection"),"Upgrade")){var f=p(d,"Sec-WebSocket-Key"),k=d.url.split("?")[0];if(/^[A-Za-z0-9+\/]{22}==$/.test(f||""))if(c.maxConnections&&c.clients.length>=c.maxConnections)e.writeHead(503,{"Content-Type":"text/plain"}),e.end("Too many connections");else{f=btoa(E.toString(t.SHA1(f+"258EAFA5-E914-47DA-95CA-C5AB0DC85B11")));e.writeHead(101,{Upgrade:"websocket",Connection:"Upgrade","Sec-WebSocket-Accept":f,"Sec-WebSocket-Protocol":p(d,"Sec-WebSocket-Protocol")});var g=new h(void 0,{masking:!1,
+connected:!0,path:k});g.socket=e;c.clients.push(g);d.on("data",g.parseData.bind(g));d.on("close",function(){clearInterval(g.srvPing);g.srvPing=void 0;var m=c.clients.indexOf(g);m>=0&&c.clients.splice(m,1);g.closing=!0;g.onClose()});g.srvPing=setInterval(function(){g.emit("ping",!0);g.send("ping",137)},g.keepAlive);if(c.routes[k])c.routes[k](g,d);else c.emit("websocket",g)}else e.writeHead(400,{"Content-Type":"text/plain"}),e.end("Bad Sec-WebSocket-Key")}else a(d,e)});c.clients=[];c.routes={};c.route=
+function(d,e){c.routes[d]=e;return c};c.broadcast=function(d,e){c.clients.forEach(function(f){e&&!e(f)||f.send(d)})};return c}
\ No newline at end of file